@@ -5,21 +5,410 @@ const CONFIG = {
     LOCAL_STORAGE: {
         MEASUREMENTS_KEY: 'bandra_measurements',
         APPOINTMENTS_KEY: 'bandra_appointments',
-        AUTO_SAVE_PREFIX: 'bandra_autosave_'
+        CUSTOMERS_KEY: 'bandra_customers',
+        OUTBOX_KEY: 'bandra_outbox',
+        // Outbox entries the sync service refused, kept until staff retry or discard them
+        REJECTED_KEY: 'bandra_sync_rejected',
+        AUDIT_KEY: 'bandra_audit',
+        // Without IndexedDB the audit log is kept in chunks of this many
+        // entries, and only the newest AUDIT_MAX_CHUNKS chunks are kept
+        AUDIT_CHUNK_SIZE: 200,
+        AUDIT_MAX_CHUNKS: 10,
+        AUTO_SAVE_PREFIX: 'bandra_autosave_',
+        MIGRATED_KEY: 'bandra_idb_migrated',
+        // Other tabs are told about saved changes over a BroadcastChannel, or
+        // through a storage event on CHANGE_KEY where that is unavailable
+        CHANGE_CHANNEL: 'bandra_changes',
+        CHANGE_KEY: 'bandra_last_change',
+        // Web Locks name that lets only one tab at a time load and link records
+        LOAD_LOCK: 'bandra_storage_load'
+    },
+    ENCRYPTION: {
+        SETTINGS_KEY: 'bandra_encryption',
+        ITERATIONS: 250000,
+        MIN_PASSPHRASE_LENGTH: 8,
+        // Encrypted with the derived key to check a passphrase on unlock
+        CHECK_VALUE: 'bandra-tailores'
+    },
+    INDEXED_DB: {
+        ENABLED: true,
+        NAME: 'bandra_tailores',
+        VERSION: 4
+    },
+    AUDIT: {
+        // sessionStorage, so the name is asked again in every new browser session
+        OPERATOR_KEY: 'bandra_operator',
+        // Recorded when nobody has entered a name, e.g. customers using the public forms
+        DEFAULT_OPERATOR: 'Website form',
+        // Changes the site makes on its own are credited to these instead of the operator
+        AUTOMATIC_OPERATORS: { sync: 'Sync service', link: 'Automatic', customer: 'Customer (online)', waitlist: 'Waitlist' },
+        ACTIONS: {
+            create: 'Created',
+            update: 'Updated',
+            delete: 'Deleted',
+            status: 'Status changed',
+            import: 'Imported',
+            restore: 'Restored',
+            merge: 'Customers merged',
+            link: 'Linked to customer',
+            sync: 'Synced',
+            reminder: 'Reminder sent',
+            customer: 'Changed by customer',
+            waitlist: 'Moved up from waitlist'
+        },
+        PAGE_SIZE: 200
+    },
+    SYNC: {
+        // Base URL of the shop's sync service; leave empty to keep data in this browser only.
+        // See SyncManager for the JSON contract and tools/sync-server.js for a local stand-in.
+        ENDPOINT: '',
+        ENDPOINT_KEY: 'bandra_sync_endpoint',
+        TOKEN_KEY: 'bandra_sync_token',
+        LAST_PULL_KEY: 'bandra_sync_last_pull',
+        CLIENT_ID_KEY: 'bandra_sync_client_id',
+        TYPES: ['measurements', 'appointments', 'customers'],
+        BATCH_SIZE: 25,
+        TIMEOUT_MS: 15000,
+        RETRY_BASE_MS: 5000,
+        RETRY_MAX_MS: 5 * 60 * 1000,
+        PULL_INTERVAL_MS: 60 * 1000
+    },
+    MEASUREMENTS: {
+        // Every measurement a set can hold, in the order forms and exports list them
+        FIELDS: ['Bust', 'Under Bust', 'Waist', 'Shoulder Width', 'Blouse Length', 'Armhole', 'Front Neck Depth',
+            'Back Neck Depth', 'Apex Distance', 'Shoulder to Apex', 'Sleeve Length', 'Sleeve Round'],
+        // Sets are stored in this unit whatever unit they were entered in
+        UNIT: 'in',
+        // perInch converts; values are shown rounded to `decimals` places
+        UNITS: {
+            in: { name: 'Inches', label: 'inches', symbol: '"', perInch: 1, decimals: 2 },
+            cm: { name: 'Centimetres', label: 'cm', symbol: ' cm', perInch: 2.54, decimals: 1 }
+        },
+        // The unit staff see measurements and CSV exports in
+        DISPLAY_UNIT_KEY: 'bandra_measurement_unit',
+        // The measurements each blouse style needs; the form, its validation
+        // and the guide follow the chosen style
+        STYLES: {
+            'Basic': {
+                description: 'not sure yet, or a simple blouse',
+                fields: ['Bust', 'Waist', 'Shoulder Width', 'Sleeve Length']
+            },
+            'Boat Neck': {
+                description: 'wide, shallow neckline',
+                fields: ['Bust', 'Waist', 'Shoulder Width', 'Blouse Length', 'Armhole', 'Front Neck Depth',
+                    'Back Neck Depth', 'Sleeve Length', 'Sleeve Round']
+            },
+            'Princess Cut': {
+                description: 'shaped seams over the bust',
+                fields: ['Bust', 'Under Bust', 'Waist', 'Shoulder Width', 'Blouse Length', 'Armhole', 'Front Neck Depth',
+                    'Back Neck Depth', 'Apex Distance', 'Shoulder to Apex', 'Sleeve Length', 'Sleeve Round']
+            },
+            'Padded': {
+                description: 'built-in cups',
+                fields: ['Bust', 'Under Bust', 'Waist', 'Shoulder Width', 'Blouse Length', 'Armhole', 'Front Neck Depth',
+                    'Back Neck Depth', 'Apex Distance', 'Shoulder to Apex', 'Sleeve Length', 'Sleeve Round']
+            },
+            'Sleeveless': {
+                description: 'no sleeves',
+                fields: ['Bust', 'Under Bust', 'Waist', 'Shoulder Width', 'Blouse Length', 'Armhole', 'Front Neck Depth',
+                    'Back Neck Depth', 'Apex Distance', 'Shoulder to Apex']
+            }
+        },
+        DEFAULT_STYLE: 'Basic',
+        // Measurement Guide steps, shown for the fields of the chosen style.
+        // `diagram` draws the tape line on the front or back body diagram
+        // (see MeasurementDiagram for its 200 x 260 coordinates).
+        GUIDE: {
+            'Bust': {
+                title: 'Bust Measurement',
+                text: 'Measure around the fullest part of your bust while wearing a bra. Keep the tape parallel to the ground.',
+                diagram: { view: 'front', path: 'M 62 122 Q 100 132 138 122' }
+            },
+            'Under Bust': {
+                title: 'Under Bust',
+                text: 'Measure around your ribcage just below the bust, where the band of your bra sits.',
+                diagram: { view: 'front', path: 'M 65 142 Q 100 150 135 142' }
+            },
+            'Waist': {
+                title: 'Waist Measurement',
+                text: 'Measure around the narrowest part of your waist, usually just above the belly button.',
+                diagram: { view: 'front', path: 'M 70 178 Q 100 185 130 178' }
+            },
+            'Shoulder Width': {
+                title: 'Shoulder Width',
+                text: 'Measure from one shoulder seam to the other across your back.',
+                diagram: { view: 'back', path: 'M 56 70 Q 100 62 144 70' }
+            },
+            'Blouse Length': {
+                title: 'Blouse Length',
+                text: 'Measure from the top of your shoulder, next to the neck, down over the bust to where the blouse should end.',
+                diagram: { view: 'front', path: 'M 112 60 L 116 165' }
+            },
+            'Armhole': {
+                title: 'Armhole',
+                text: 'Measure around the top of your arm where it joins the shoulder, passing under the armpit.',
+                diagram: { view: 'front', path: 'M 141 71 A 7 17 0 1 1 141 105 A 7 17 0 1 1 141 71' }
+            },
+            'Front Neck Depth': {
+                title: 'Front Neck Depth',
+                text: 'Measure straight down from the base of your neck at the front to where the neckline should end.',
+                diagram: { view: 'front', path: 'M 100 58 L 100 92' }
+            },
+            'Back Neck Depth': {
+                title: 'Back Neck Depth',
+                text: 'Measure straight down from the bone at the back of your neck to where the back neckline should end.',
+                diagram: { view: 'back', path: 'M 100 56 L 100 104' }
+            },
+            'Apex Distance': {
+                title: 'Apex Distance',
+                text: 'Measure straight across from one bust point to the other.',
+                diagram: { view: 'front', path: 'M 84 116 L 116 116' }
+            },
+            'Shoulder to Apex': {
+                title: 'Shoulder to Apex',
+                text: 'Measure from the top of your shoulder, next to the neck, down to the bust point.',
+                diagram: { view: 'front', path: 'M 88 60 L 84 116' }
+            },
+            'Sleeve Length': {
+                title: 'Sleeve Length',
+                text: 'Measure from shoulder seam to desired sleeve length with arm slightly bent.',
+                diagram: { view: 'front', path: 'M 56 72 L 44 132' }
+            },
+            'Sleeve Round': {
+                title: 'Sleeve Round',
+                text: 'Measure around your arm where the sleeve should end, with a finger under the tape for ease.',
+                diagram: { view: 'front', path: 'M 41.5 132 A 7 3 0 1 0 55.5 132 A 7 3 0 1 0 41.5 132' }
+            }
+        }
+    },
+    REFERENCE: {
+        // Reference codes look like M-7K2QXD; the alphabet leaves out 0/O and 1/I
+        PREFIX: { measurements: 'M', appointments: 'A' },
+        LENGTH: 6,
+        ALPHABET: '23456789ABCDEFGHJKLMNPQRSTUVWXYZ'
+    },
+    JOB_CARD: {
+        // Default due date for a new order, counted from the day the card is printed
+        TURNAROUND_DAYS: 14,
+        TRIAL_NOTE_LINES: 5
+    },
+    CSV: {
+        // Exports start with these columns in this order; any other fields follow alphabetically
+        COLUMNS: ['id', 'reference', 'timestamp', 'Name', 'Contact Number', 'Email', 'Blouse Style', 'Measurement Unit', 'Bust', 'Under Bust',
+            'Waist', 'Shoulder Width', 'Blouse Length', 'Armhole', 'Front Neck Depth', 'Back Neck Depth', 'Apex Distance',
+            'Shoulder to Apex', 'Sleeve Length', 'Sleeve Round', 'Service Type', 'Preferred Date', 'Preferred Time', 'Additional Notes', 'Message', 'status',
+            'customerId', 'measurementId', 'updatedAt'],
+        // Excel only reads UTF-8 (e.g. Sinhala or Tamil names) correctly after a byte order mark
+        BOM: true,
+        // Spreadsheet headings recognised when mapping an imported file
+        HEADER_ALIASES: {
+            'Name': ['name', 'customer', 'customer name', 'full name', 'client'],
+            'Contact Number': ['phone', 'phone number', 'mobile', 'mobile number', 'tel', 'telephone', 'contact', 'whatsapp'],
+            'Email': ['e-mail', 'email address', 'mail'],
+            'timestamp': ['date', 'created', 'submitted', 'date added'],
+            'Service Type': ['service'],
+            'Blouse Style': ['style', 'blouse', 'blouse type'],
+            'Preferred Date': ['appointment date', 'booking date', 'appointment'],
+            'Preferred Time': ['time', 'appointment time', 'booking time'],
+            'Additional Notes': ['notes', 'remarks', 'comments'],
+            'Message': ['special requirements']
+        }
+    },
+    PHONE: {
+        // Local numbers such as 077 123 4567 are matched as +94 77 123 4567
+        COUNTRY_CODE: '94'
+    },
+    BOOKING: {
+        // Opening hours by day of the week (0 = Sunday); leave a day out to close it
+        HOURS: {
+            0: ['11:00', '18:00'],
+            1: ['10:00', '20:00'],
+            2: ['10:00', '20:00'],
+            3: ['10:00', '20:00'],
+            4: ['10:00', '20:00'],
+            5: ['10:00', '20:00'],
+            6: ['10:00', '20:00']
+        },
+        SLOT_MINUTES: 30,
+        // Appointments that may be running at the same time
+        CAPACITY: 1,
+        // Minutes each service takes; bookings keep the duration they were made with
+        DURATIONS: {
+            'Custom Blouse Tailoring': 60,
+            'Design Consultation': 30,
+            'Alterations & Repairs': 30
+        },
+        DEFAULT_DURATION: 30,
+        // Most bookings a day for each service; a service left out has no cap
+        DAILY_CAP: {
+            'Custom Blouse Tailoring': 6,
+            'Design Consultation': 8,
+            'Alterations & Repairs': 10
+        },
+        // Bookings in these statuses do not hold a slot or count towards DAILY_CAP
+        FREE_STATUSES: ['cancelled', 'no-show', 'waitlisted'],
+        // Customers may move or cancel these bookings under "Manage my booking"
+        // until CUTOFF_HOURS before they start
+        SELF_SERVICE: {
+            STATUSES: ['pending', 'confirmed'],
+            CUTOFF_HOURS: 24,
+            CANCEL_NOTE: 'Cancelled by the customer online'
+        }
+    },
+    WAITLIST: {
+        // Other dates a customer joining the waitlist may list
+        MAX_ALTERNATIVES: 3,
+        // Sent when a customer is moved up into a freed place; same
+        // placeholders as CONFIG.REMINDERS.TEMPLATES
+        TEMPLATES: {
+            whatsapp: 'Hello {name}, good news from {shop}! A place has opened up and we have booked your '
+                + '{service} appointment for {when} (reference {reference}). Please reply here to confirm or if it no longer suits you.',
+            sms: '{shop}: a place opened up and your {service} appointment is booked for {when} (ref {reference}). '
+                + 'Please call or WhatsApp {phone} to confirm.',
+            emailSubject: 'A place has opened up: {service} on {when}',
+            email: 'Dear {name},\n\nA place has opened up and we have moved you from the waitlist to a {service} '
+                + 'appointment at {shop} on {when} (booking reference {reference}).\n\nAddress: {address}\n\n'
+                + 'Please reply to this email or WhatsApp us on {phone} to confirm, or to let us know if it no longer suits you.'
+                + '\n\nThank you,\n{shop}'
+        }
+    },
+    CLOSURES: {
+        // Closures added by staff, shared with customers' browsers through the sync service
+        STORAGE_KEY: 'bandra_closures',
+        // Set while changes made in this browser have not reached the sync service
+        UNSHARED_KEY: 'bandra_closures_unshared',
+        // Holidays on the same date every year. Poya days and other holidays
+        // that move are added each year under Data Management > Closures.
+        BUILT_IN: [
+            { id: 'independence-day', start: '2026-02-04', end: '2026-02-04', yearly: true, reason: 'Independence Day' },
+            { id: 'may-day', start: '2026-05-01', end: '2026-05-01', yearly: true, reason: 'May Day' },
+            { id: 'christmas', start: '2026-12-25', end: '2026-12-25', yearly: true, reason: 'Christmas Day' }
+        ]
     },
     VALIDATION: {
         NAME: { min: 2, max: 50, pattern: /^[a-zA-Z\s]+$/ },
         EMAIL: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
         PHONE: { pattern: /^[\+\d\-\s\(\)]+$/ },
-        DATE: { min: new Date().toISOString().split('T')[0] }
+        DATE: { min: new Date().toISOString().split('T')[0] },
+        // Measurement checks, in inches (CONFIG.MEASUREMENTS.UNIT). Outside
+        // `hard` a value cannot be right and is refused; outside `soft` it is
+        // unusual and the customer has to confirm it before it is saved.
+        MEASUREMENTS: {
+            RANGES: {
+                'Bust': { hard: [20, 80], soft: [28, 52] },
+                'Under Bust': { hard: [18, 75], soft: [24, 48] },
+                'Waist': { hard: [16, 80], soft: [22, 50] },
+                'Shoulder Width': { hard: [8, 26], soft: [12, 19] },
+                'Blouse Length': { hard: [8, 32], soft: [12, 20] },
+                'Armhole': { hard: [9, 32], soft: [13, 22] },
+                'Front Neck Depth': { hard: [1, 16], soft: [3, 10] },
+                'Back Neck Depth': { hard: [1, 20], soft: [3, 13] },
+                'Apex Distance': { hard: [4, 15], soft: [6, 10] },
+                'Shoulder to Apex': { hard: [5, 18], soft: [8, 13] },
+                'Sleeve Length': { hard: [1, 32], soft: [3, 24] },
+                'Sleeve Round': { hard: [6, 28], soft: [9, 18] }
+            },
+            // `field` divided by `other`, checked when the set has both
+            RULES: [
+                { field: 'Waist', other: 'Bust', hard: [0.45, 1.4], soft: [0.6, 1.05] },
+                { field: 'Under Bust', other: 'Bust', hard: [0.6, 1.02], soft: [0.72, 0.97] },
+                { field: 'Shoulder Width', other: 'Bust', hard: [0.25, 0.7], soft: [0.33, 0.52] },
+                { field: 'Apex Distance', other: 'Bust', hard: [0.12, 0.4], soft: [0.17, 0.3] },
+                { field: 'Sleeve Length', other: 'Shoulder Width', hard: [0.1, 2.2], soft: [0.2, 1.8] }
+            ]
+        }
+    },
+    WORKFLOW: {
+        measurements: {
+            initial: 'received',
+            transitions: {
+                received: ['cutting'],
+                cutting: ['stitching'],
+                stitching: ['trial'],
+                trial: ['ready', 'stitching'],
+                ready: ['delivered'],
+                delivered: []
+            }
+        },
+        appointments: {
+            initial: 'pending',
+            transitions: {
+                pending: ['confirmed', 'cancelled'],
+                confirmed: ['completed', 'no-show', 'cancelled'],
+                waitlisted: ['pending', 'cancelled'],
+                completed: [],
+                'no-show': [],
+                cancelled: []
+            }
+        },
+        LABELS: {
+            received: 'Received',
+            cutting: 'Cutting',
+            stitching: 'Stitching',
+            trial: 'Trial',
+            ready: 'Ready',
+            delivered: 'Delivered',
+            pending: 'Pending',
+            confirmed: 'Confirmed',
+            completed: 'Completed',
+            'no-show': 'No-show',
+            cancelled: 'Cancelled',
+            waitlisted: 'Waitlisted'
+        }
     },
     ANIMATION: {
         DURATION: 300,
         EASING: 'ease-out'
     },
+    REMINDERS: {
+        // A reminder falls due this long before the appointment starts. Only
+        // the shortest lead time reached is offered, so a booking made late
+        // gets one reminder rather than several at once.
+        LEAD_TIMES: [
+            { key: '24h', minutes: 24 * 60, label: 'Day before' },
+            { key: '2h', minutes: 2 * 60, label: '2 hours before' }
+        ],
+        // Appointments in other statuses are not reminded
+        STATUSES: ['pending', 'confirmed'],
+        CHECK_INTERVAL_MS: 60 * 1000,
+        // How far ahead the data panel lists coming appointments
+        UPCOMING_HOURS: 48,
+        // Reminders this computer has already shown as a notification
+        NOTIFIED_KEY: 'bandra_reminders_notified',
+        // {name}, {service}, {when}, {reference}, {shop}, {address} and {phone} are filled in
+        TEMPLATES: {
+            whatsapp: 'Hello {name}, this is a reminder of your {service} appointment at {shop} on {when}. '
+                + 'Please reply here if you need to change the time. See you soon!',
+            sms: '{shop}: reminder of your {service} appointment on {when}. To change it, call or WhatsApp {phone}.',
+            emailSubject: 'Reminder: your {service} appointment on {when}',
+            email: 'Dear {name},\n\nThis is a reminder of your {service} appointment at {shop} on {when} '
+                + '(booking reference {reference}).\n\n'
+                + 'Address: {address}\n\nIf you need to change the time, please reply to this email '
+                + 'or WhatsApp us on {phone}.\n\nThank you,\n{shop}'
+        }
+    },
     WHATSAPP: {
         NUMBER: '+94769647757',
         MESSAGE: 'Hello Bandra Tailores, I would like to inquire about your saree blouse tailoring services.'
+    },
+    CALENDAR: {
+        SHOP_NAME: 'Bandra Tailores',
+        LOCATION: '43A Ven S. Mahinda Himi Mawatha, Colombo 10, 01000',
+        PRODID: '-//Bandra Tailores//Appointments//EN',
+        // Event UIDs are <record id>@UID_DOMAIN so re-imported events update in place
+        UID_DOMAIN: 'bandratailores.lk',
+        // Booking times are shop time; Sri Lanka has no daylight saving
+        UTC_OFFSET: '+05:30',
+        // The same zone by name, for tools/sync-server.js
+        TIME_ZONE: 'Asia/Colombo',
+        NAME: 'Bandra Tailores Appointments',
+        // Booking colours in the data panel calendar
+        SERVICE_COLORS: {
+            'Custom Blouse Tailoring': '#b8941f',
+            'Design Consultation': '#7c3aed',
+            'Alterations & Repairs': '#0e7490'
+        },
+        DEFAULT_COLOR: '#6c757d'
     }
 };
 
@@ -34,16 +423,72 @@ const Utils = {
                trimmed.length <= CONFIG.VALIDATION.NAME.max &&
                CONFIG.VALIDATION.NAME.pattern.test(trimmed);
     },
-    validateDate: (date) => {
-        const selected = new Date(date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        return selected >= today;
-    },
+    validateDate: (date) => /^\d{4}-\d{2}-\d{2}$/.test(date) && date >= Utils.toShopDate(new Date()),
     
     // String utilities
     sanitizeInput: (input) => input.trim().replace(/[<>]/g, ''),
+    escapeHtml: (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]),
     formatPhone: (phone) => phone.replace(/[^\d+\-]/g, ''),
+    normalizePhone: (phone) => {
+        let digits = String(phone || '').replace(/\D/g, '');
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2);
+        } else if (digits.startsWith('0')) {
+            digits = CONFIG.PHONE.COUNTRY_CODE + digits.slice(1);
+        }
+        return digits;
+    },
+    normalizeName: (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' '),
+    downloadFile: (content, fileName, type) => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = fileName;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(link.href), 100);
+    },
+
+    // Minutes the shop's clock (CONFIG.CALENDAR.UTC_OFFSET) is ahead of UTC
+    getShopOffset: () => {
+        const [, sign, hours, minutes] = CONFIG.CALENDAR.UTC_OFFSET.match(/([+-])(\d{2}):(\d{2})/);
+        return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+    },
+    // The moment `date` shifted so its UTC fields read the shop's clock
+    toShopClock: (date) => new Date(new Date(date).getTime() + Utils.getShopOffset() * 60000),
+    // YYYY-MM-DD at the shop when `date` happened, wherever the browser is,
+    // e.g. "today" for bookings or the day a record was saved
+    toShopDate: (date) => {
+        const value = Utils.toShopClock(date);
+        return isNaN(value) ? '' : value.toISOString().slice(0, 10);
+    },
+    // Minutes since midnight on the shop's clock
+    getShopMinutes: (date) => {
+        const value = Utils.toShopClock(date);
+        return value.getUTCHours() * 60 + value.getUTCMinutes();
+    },
+    // YYYY-MM-DD of a date in this browser's time zone, e.g. one from parseLocalDate
+    toLocalDate: (date) => {
+        const value = new Date(date);
+        if (isNaN(value)) return '';
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    },
+    // YYYY-MM-DD as local midnight (new Date() would read it as UTC)
+    parseLocalDate: (day) => {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(year, month - 1, date);
+    },
+    addDays: (day, count) => {
+        const date = Utils.parseLocalDate(day);
+        date.setDate(date.getDate() + count);
+        return Utils.toLocalDate(date);
+    },
     generateId: () => Date.now().toString(36) + Math.random().toString(36).substr(2),
     
     // DOM utilities
@@ -88,6 +533,18 @@ const Utils = {
         };
     },
     
+    // Binary helpers for encrypted payloads
+    // Converted in slices: spreading a whole backup into fromCharCode overflows the call stack
+    bytesToBase64: (bytes) => {
+        const array = new Uint8Array(bytes);
+        const chunks = [];
+        for (let index = 0; index < array.length; index += 0x8000) {
+            chunks.push(String.fromCharCode(...array.subarray(index, index + 0x8000)));
+        }
+        return btoa(chunks.join(''));
+    },
+    base64ToBytes: (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0)),
+    
     // Throttle function
     throttle: (func, limit) => {
         let inThrottle;
@@ -103,255 +560,3739 @@ const Utils = {
     }
 };
 
-// ===== LOCAL STORAGE MANAGER =====
-class LocalStorageManager {
-    constructor() {
-        this.measurements = this.loadData('measurements');
-        this.appointments = this.loadData('appointments');
-        this.init();
-    }
+// ===== RECORD SCHEMA =====
+// Stored records carry a schemaVersion. To change the shape of a record, bump
+// CURRENT_VERSION and register a step in MIGRATIONS that upgrades a record from
+// the previous version; old records are upgraded whenever they are loaded from
+// storage or read from an imported backup.
+const RecordSchema = {
+    CURRENT_VERSION: 6,
+    BACKUP_VERSION: '3.0',
+    // Collections holding versioned records (the sync outbox is not one)
+    TYPES: ['measurements', 'appointments', 'customers'],
 
-    init() {
-        // Check storage availability
-        if (!this.isStorageAvailable()) {
-            console.warn('Local storage not available');
-            return;
+    // MIGRATIONS[n] upgrades a record from version n to version n + 1
+    MIGRATIONS: {
+        // v1 → v2: the raw form fields saved before records were versioned get updatedAt
+        1: (record) => ({
+            ...record,
+            updatedAt: record.updatedAt || record.timestamp
+        }),
+        // v2 → v3: every record was saved as 'pending'; orders now start at 'received'
+        2: (record, type) => {
+            if (!CONFIG.WORKFLOW[type]) return record;
+            const status = type === 'measurements' && record.status === 'pending'
+                ? CONFIG.WORKFLOW.measurements.initial
+                : record.status || CONFIG.WORKFLOW[type].initial;
+            return {
+                ...record,
+                status,
+                statusHistory: record.statusHistory || [{ from: null, to: status, at: record.timestamp }]
+            };
+        },
+        // v3 → v4: orders and bookings get a short reference code for job cards and customers
+        3: (record, type) => {
+            if (!CONFIG.REFERENCE.PREFIX[type] || record.reference) return record;
+            return { ...record, reference: RecordSchema.newReference(type) };
+        },
+        // v4 → v5: reminderSent records when each reminder was sent instead of true/false
+        4: (record, type) => {
+            if (type !== 'appointments' || (record.reminderSent && typeof record.reminderSent === 'object')) {
+                return record;
+            }
+            const sentAt = record.updatedAt || record.timestamp;
+            const reminderSent = record.reminderSent === true
+                ? Object.fromEntries(CONFIG.REMINDERS.LEAD_TIMES.map(lead => [lead.key, sentAt]))
+                : {};
+            return { ...record, reminderSent };
+        },
+        // v5 → v6: measurement sets name their blouse style; older ones took the basic four
+        5: (record, type) => {
+            if (type !== 'measurements' || record['Blouse Style']) return record;
+            return { ...record, 'Blouse Style': 'Basic' };
         }
-        
-        // Clean up old data periodically
-        this.cleanup();
-    }
+    },
 
-    isStorageAvailable() {
-        try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (e) {
-            return false;
-        }
-    }
+    // Random, and stored with the record: with the phone number it is all a
+    // customer needs to manage a booking, so it must not follow from the id
+    newReference: (type) => {
+        const { ALPHABET, LENGTH, PREFIX } = CONFIG.REFERENCE;
+        const values = crypto.getRandomValues(new Uint8Array(LENGTH));
+        return `${PREFIX[type]}-${Array.from(values, value => ALPHABET[value % ALPHABET.length]).join('')}`;
+    },
 
-    loadData(type) {
-        try {
-            const data = localStorage.getItem(CONFIG.LOCAL_STORAGE[type.toUpperCase() + '_KEY']);
-            return data ? JSON.parse(data) : [];
-        } catch (error) {
-            console.error(`Error loading ${type}:`, error);
-            return [];
+    // Reads a typed code loosely: "a-7k3m9q", "A7K3M9Q" and "7K3M9Q" all give A-7K3M9Q
+    normalizeReference: (code, type) => {
+        const prefix = CONFIG.REFERENCE.PREFIX[type];
+        let compact = String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+        if (compact.length === prefix.length + CONFIG.REFERENCE.LENGTH && compact.startsWith(prefix)) {
+            compact = compact.slice(prefix.length);
         }
-    }
+        return `${prefix}-${compact}`;
+    },
 
-    saveData(type, data) {
-        try {
-            localStorage.setItem(CONFIG.LOCAL_STORAGE[type.toUpperCase() + '_KEY'], JSON.stringify(data));
-            return true;
-        } catch (error) {
-            console.error(`Error saving ${type}:`, error);
-            
-            // Handle quota exceeded error
-            if (error.name === 'QuotaExceededError') {
-                alert('Storage limit exceeded. Please export old data to free up space.');
+    // Helper for migration steps that follow a renamed form input
+    renameFields: (record, renames) => {
+        const renamed = { ...record };
+        Object.entries(renames).forEach(([oldName, newName]) => {
+            if (oldName in renamed && !(newName in renamed)) {
+                renamed[newName] = renamed[oldName];
             }
-            
-            return false;
+            delete renamed[oldName];
+        });
+        return renamed;
+    },
+
+    getVersion: (record) => Number(record.schemaVersion) || 1,
+
+    needsMigration: (record) => RecordSchema.getVersion(record) < RecordSchema.CURRENT_VERSION,
+
+    migrate: (record, type) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return record;
+
+        let version = RecordSchema.getVersion(record);
+        if (version > RecordSchema.CURRENT_VERSION) {
+            console.warn(`Record ${record.id} uses schema v${version}, newer than this site (v${RecordSchema.CURRENT_VERSION})`);
+            return record;
         }
-    }
 
-    addMeasurement(measurementData) {
-        const measurement = {
-            id: Utils.generateId(),
-            timestamp: new Date().toISOString(),
-            ...measurementData,
-            status: 'pending'
-        };
-        
-        this.measurements.push(measurement);
-        const success = this.saveData('measurements', this.measurements);
-        
-        if (success) {
-            this.exportToFile('measurements', measurement);
+        let migrated = record;
+        while (version < RecordSchema.CURRENT_VERSION) {
+            const step = RecordSchema.MIGRATIONS[version];
+            if (!step) {
+                throw new Error(`No migration registered for schema v${version}`);
+            }
+            migrated = step(migrated, type);
+            version++;
         }
-        
-        return { success, data: measurement };
-    }
 
-    addAppointment(appointmentData) {
-        const appointment = {
+        return { ...migrated, schemaVersion: version };
+    },
+
+    migrateAll: (records, type) => {
+        let upgraded = 0;
+        const migrated = records.map(record => {
+            if (record && typeof record === 'object' && RecordSchema.needsMigration(record)) {
+                upgraded++;
+            }
+            return RecordSchema.migrate(record, type);
+        });
+        return { records: migrated, upgraded };
+    },
+
+    // Stamps a freshly created record with the current schema
+    create: (fields, type) => {
+        const now = new Date().toISOString();
+        const record = {
             id: Utils.generateId(),
-            timestamp: new Date().toISOString(),
-            ...appointmentData,
-            status: 'pending',
-            reminderSent: false
+            timestamp: now,
+            ...fields,
+            updatedAt: now,
+            schemaVersion: RecordSchema.CURRENT_VERSION
         };
-        
-        this.appointments.push(appointment);
-        const success = this.saveData('appointments', this.appointments);
-        
-        if (success) {
-            this.exportToFile('appointments', appointment);
+        if (CONFIG.REFERENCE.PREFIX[type]) {
+            record.reference = RecordSchema.newReference(type);
         }
-        
-        return { success, data: appointment };
-    }
+        return record;
+    },
 
-    exportToFile(type, newData) {
-        try {
-            const allData = type === 'measurements' ? this.measurements : this.appointments;
-            const dataStr = JSON.stringify(allData, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = `bandra_${type}_${new Date().toISOString().split('T')[0]}.json`;
-            link.style.display = 'none';
-            
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            setTimeout(() => URL.revokeObjectURL(link.href), 100);
-            
-            return true;
-        } catch (error) {
-            console.error('Error exporting file:', error);
-            return false;
-        }
-    }
+    // Ids are made by Utils.generateId; anything else is refused from files
+    // and from the sync service, since ids end up in the panel's markup
+    isValidId: (id) => typeof id === 'string' && /^[0-9A-Za-z_-]{1,64}$/.test(id),
 
-    exportToCSV(type) {
-        try {
-            const data = type === 'measurements' ? this.measurements : this.appointments;
-            
-            if (data.length === 0) {
-                alert(`No ${type} data to export`);
-                return false;
-            }
+    // Whether an upgraded record read from a backup, CSV file or the sync
+    // service can be stored
+    isValid: (type, record) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return false;
+        if (!RecordSchema.isValidId(record.id)) return false;
+        if (!record.timestamp || isNaN(new Date(record.timestamp))) return false;
+        if (typeof record.Name !== 'string') return false;
 
-            const headers = Object.keys(data[0]);
-            const csvHeaders = headers.join(',');
-            
-            const csvRows = data.map(item => 
-                headers.map(header => {
-                    const value = item[header] || '';
-                    return typeof value === 'string' && (value.includes(',') || value.includes('"')) 
-                        ? `"${value.replace(/"/g, '""')}"` 
-                        : value;
-                }).join(',')
-            );
+        if (type === 'customers') return Array.isArray(record.phones);
+        if (!StatusWorkflow.isStatus(type, record.status)) return false;
+        if (type === 'measurements') return 'Bust' in record;
+        return 'Preferred Date' in record
+            && (!record['Preferred Date'] || /^\d{4}-\d{2}-\d{2}$/.test(record['Preferred Date']))
+            && (!record['Preferred Time'] || /^\d{2}:\d{2}$/.test(record['Preferred Time']));
+    },
 
-            const csvContent = [csvHeaders, ...csvRows].join('\n');
-            const blob = new Blob([csvContent], { type: 'text/csv' });
-            
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(blob);
-            link.download = `bandra_${type}_${new Date().toISOString().split('T')[0]}.csv`;
-            link.style.display = 'none';
-            
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            setTimeout(() => URL.revokeObjectURL(link.href), 100);
-            
-            return true;
-        } catch (error) {
-            console.error('Error exporting CSV:', error);
-            return false;
+    // What the sync service is sent, and sends back, for a deleted record
+    tombstone: (id, updatedAt = new Date().toISOString()) => ({ id, updatedAt, deleted: true }),
+
+    isTombstone: (record) => Boolean(record) && record.deleted === true
+        && RecordSchema.isValidId(record.id) && !isNaN(new Date(record.updatedAt)),
+
+    // Backups are readable if their major format version is not newer than ours
+    isSupportedBackup: (version) => !version ||
+        parseInt(version, 10) <= parseInt(RecordSchema.BACKUP_VERSION, 10)
+};
+
+// ===== STATUS WORKFLOW =====
+// Allowed status changes for each record type live in CONFIG.WORKFLOW.
+const StatusWorkflow = {
+    getInitialStatus: (type) => CONFIG.WORKFLOW[type].initial,
+
+    getLabel: (status) => CONFIG.WORKFLOW.LABELS[status] || status,
+
+    isStatus: (type, status) => Object.keys(CONFIG.WORKFLOW[type].transitions).includes(status),
+
+    getAllowedTransitions: (type, status) => CONFIG.WORKFLOW[type].transitions[status] || [],
+
+    canTransition: (type, from, to) => StatusWorkflow.getAllowedTransitions(type, from).includes(to),
+
+    isFinal: (type, status) => StatusWorkflow.getAllowedTransitions(type, status).length === 0,
+
+    // Returns an updated copy of the record; the original is left untouched
+    transition: (type, record, to, note = '') => {
+        if (!StatusWorkflow.canTransition(type, record.status, to)) {
+            throw new Error(`Cannot change status from ${StatusWorkflow.getLabel(record.status)} to ${StatusWorkflow.getLabel(to)}`);
         }
-    }
 
-    getStats() {
+        const at = new Date().toISOString();
+        const entry = { from: record.status, to, at };
+        if (note) entry.note = note;
+
         return {
-            totalMeasurements: this.measurements.length,
-            totalAppointments: this.appointments.length,
-            recentMeasurements: this.measurements.slice(-5),
-            recentAppointments: this.appointments.slice(-5),
-            lastSubmission: this.getLastSubmission()
+            ...record,
+            status: to,
+            statusHistory: [...(record.statusHistory || []), entry],
+            updatedAt: at
         };
-    }
+    },
 
-    getLastSubmission() {
-        const allSubmissions = [...this.measurements, ...this.appointments];
-        if (allSubmissions.length === 0) return null;
-        
-        return allSubmissions.sort((a, b) => 
-            new Date(b.timestamp) - new Date(a.timestamp)
-        )[0];
+    // Status and history for a new record; `status` overrides the workflow's initial one
+    initialFields: (type, status = StatusWorkflow.getInitialStatus(type)) => {
+        return { status, statusHistory: [{ from: null, to: status, at: new Date().toISOString() }] };
     }
+};
 
-    searchData(query, type = 'all') {
-        const searchLower = query.toLowerCase();
-        const results = {
-            measurements: [],
-            appointments: []
-        };
+// ===== MEASUREMENT SCHEMA =====
+const MeasurementSchema = {
+    getStyle: (name) => CONFIG.MEASUREMENTS.STYLES[name] || CONFIG.MEASUREMENTS.STYLES[CONFIG.MEASUREMENTS.DEFAULT_STYLE],
 
-        if (type === 'measurements' || type === 'all') {
-            results.measurements = this.measurements.filter(item => 
-                Object.values(item).some(value => 
-                    value && value.toString().toLowerCase().includes(searchLower)
-                )
-            );
-        }
+    // The fields a style asks for, in CONFIG.MEASUREMENTS.FIELDS order
+    getFields: (style) => CONFIG.MEASUREMENTS.FIELDS
+        .filter(field => MeasurementSchema.getStyle(style).fields.includes(field)),
 
-        if (type === 'appointments' || type === 'all') {
-            results.appointments = this.appointments.filter(item => 
-                Object.values(item).some(value => 
-                    value && value.toString().toLowerCase().includes(searchLower)
-                )
-            );
-        }
+    // A saved set's fields; one imported without a style lists what it holds
+    getRecordFields: (record) => CONFIG.MEASUREMENTS.STYLES[record['Blouse Style']]
+        ? MeasurementSchema.getFields(record['Blouse Style'])
+        : CONFIG.MEASUREMENTS.FIELDS.filter(field => record[field] !== undefined && record[field] !== ''),
 
-        return results;
-    }
+    isField: (name) => CONFIG.MEASUREMENTS.FIELDS.includes(name),
 
-    cleanup() {
-        // Remove old auto-save data
-        const keys = Object.keys(localStorage);
-        const autoSaveKeys = keys.filter(key => 
-            key.startsWith(CONFIG.LOCAL_STORAGE.AUTO_SAVE_PREFIX)
-        );
-        
-        autoSaveKeys.forEach(key => {
-            const timestamp = localStorage.getItem(key + '_timestamp');
-            if (timestamp) {
-                const age = Date.now() - parseInt(timestamp);
-                if (age > 24 * 60 * 60 * 1000) { // 24 hours
-                    localStorage.removeItem(key);
-                    localStorage.removeItem(key + '_timestamp');
-                }
+    // "Bust: 34", Waist: 28", ..." for record lists, in the display unit
+    describe: (record) => MeasurementSchema.getRecordFields(record)
+        .map(field => `${field}: ${MeasurementHistory.formatValue(record[field])}`)
+        .join(', ')
+};
+
+// ===== MEASUREMENT DIAGRAM =====
+// Front and back body outlines with a tape line for each measurement that has
+// a `diagram` in CONFIG.MEASUREMENTS.GUIDE. Each line has a wider invisible
+// twin so it is easy to tap on a phone.
+const MeasurementDiagram = {
+    VIEWS: { front: 'Front', back: 'Back' },
+
+    OUTLINE: 'M 92 56 C 80 62 64 62 56 70 L 38 150 L 50 152 L 62 104 C 60 130 72 160 70 178 '
+        + 'C 68 200 60 215 60 240 L 140 240 C 140 215 132 200 130 178 C 128 160 140 130 138 104 '
+        + 'L 150 152 L 162 150 L 144 70 C 136 62 120 62 108 56 Z',
+
+    render: (fields) => Object.entries(MeasurementDiagram.VIEWS).map(([view, label]) => {
+        const lines = fields
+            .map(field => ({ field, diagram: (CONFIG.MEASUREMENTS.GUIDE[field] || {}).diagram }))
+            .filter(({ diagram }) => diagram && diagram.view === view);
+        if (lines.length === 0) return '';
+
+        return `
+            <svg class="measurement-diagram-view" viewBox="0 0 200 260" role="img" aria-label="${label} of the body">
+                <circle class="body-outline" cx="100" cy="30" r="18"></circle>
+                <path class="body-outline" d="M 92 46 L 92 56 M 108 46 L 108 56"></path>
+                <path class="body-outline" d="${MeasurementDiagram.OUTLINE}"></path>
+                ${lines.map(({ field, diagram }) => `
+                    <path class="tape-line" data-measurement-line="${Utils.escapeHtml(field)}" d="${diagram.path}"></path>
+                    <path class="tape-target" data-measurement-target="${Utils.escapeHtml(field)}" d="${diagram.path}">
+                        <title>${Utils.escapeHtml(field)}</title>
+                    </path>
+                `).join('')}
+                <text x="100" y="256" text-anchor="middle">${label}</text>
+            </svg>
+        `;
+    }).join('')
+};
+
+// ===== MEASUREMENT UNITS =====
+// Sets are stored in CONFIG.MEASUREMENTS.UNIT. 'Measurement Unit' keeps the
+// unit the customer entered them in, so a set is edited in that unit again;
+// staff choose the unit everything else is shown and exported in.
+const MeasurementUnits = {
+    get: (unit) => CONFIG.MEASUREMENTS.UNITS[unit] || CONFIG.MEASUREMENTS.UNITS[CONFIG.MEASUREMENTS.UNIT],
+
+    getEnteredUnit: (record) => CONFIG.MEASUREMENTS.UNITS[record['Measurement Unit']]
+        ? record['Measurement Unit']
+        : CONFIG.MEASUREMENTS.UNIT,
+
+    getDisplayUnit: () => {
+        const unit = localStorage.getItem(CONFIG.MEASUREMENTS.DISPLAY_UNIT_KEY);
+        return CONFIG.MEASUREMENTS.UNITS[unit] ? unit : CONFIG.MEASUREMENTS.UNIT;
+    },
+
+    setDisplayUnit: (unit) => {
+        localStorage.setItem(CONFIG.MEASUREMENTS.DISPLAY_UNIT_KEY, unit);
+    },
+
+    // NaN for blanks, like parseFloat
+    convert: (value, from, to) =>
+        parseFloat(value) * MeasurementUnits.get(to).perInch / MeasurementUnits.get(from).perInch,
+
+    round: (value, unit) => {
+        const factor = 10 ** MeasurementUnits.get(unit).decimals;
+        return Math.round(value * factor) / factor;
+    },
+
+    // A stored value (or difference) in `unit`, rounded for display
+    fromStored: (value, unit) =>
+        MeasurementUnits.round(MeasurementUnits.convert(value, CONFIG.MEASUREMENTS.UNIT, unit), unit),
+
+    format: (value, unit = MeasurementUnits.getDisplayUnit()) => {
+        const converted = MeasurementUnits.fromStored(value, unit);
+        return isNaN(converted) ? '-' : `${converted}${MeasurementUnits.get(unit).symbol}`;
+    },
+
+    // Fields entered in their 'Measurement Unit' to the stored unit. Three
+    // places are kept so the set reads back exactly as entered. When editing
+    // the `current` stored set, fields still holding the value the editor
+    // showed keep their stored value rather than being converted again.
+    toStored: (fields, current = null) => {
+        const unit = MeasurementUnits.getEnteredUnit(fields);
+        const shown = current && MeasurementUnits.getEnteredUnit(current) === unit
+            ? MeasurementUnits.inUnit(current, unit, { exact: true })
+            : {};
+
+        const stored = { ...fields };
+        CONFIG.MEASUREMENTS.FIELDS.forEach(field => {
+            if (parseFloat(fields[field]) === parseFloat(shown[field])) {
+                stored[field] = current[field];
+                return;
             }
+            if (unit === CONFIG.MEASUREMENTS.UNIT) return;
+            const value = MeasurementUnits.convert(fields[field], unit, CONFIG.MEASUREMENTS.UNIT);
+            if (!isNaN(value)) stored[field] = String(Math.round(value * 1000) / 1000);
         });
-    }
-}
+        return stored;
+    },
 
-// ===== FORM VALIDATION =====
-class FormValidator {
-    constructor(form) {
-        this.form = form;
-        this.fields = form.querySelectorAll('input[required], select[required], textarea[required]');
-        this.errors = new Map();
-        this.init();
-    }
+    // A stored value in `unit` with the fewest decimals that toStored turns
+    // back into the same value, e.g. 86.55 cm for 34.075"
+    toEntered: (value, unit) => {
+        const stored = parseFloat(value);
+        const converted = MeasurementUnits.convert(value, CONFIG.MEASUREMENTS.UNIT, unit);
+        for (let decimals = 0; decimals <= 6; decimals++) {
+            const factor = 10 ** decimals;
+            const entered = Math.round(converted * factor) / factor;
+            const back = MeasurementUnits.convert(entered, unit, CONFIG.MEASUREMENTS.UNIT);
+            if (back === stored || Math.round(back * 1000) / 1000 === stored) return entered;
+        }
+        return converted;
+    },
 
-    init() {
-        this.fields.forEach(field => {
-            field.addEventListener('blur', () => this.validateField(field));
-            field.addEventListener('input', Utils.debounce(() => this.validateField(field), 300));
+    // A stored set with its measurements in `unit`, rounded for export, or
+    // with `exact` at full precision so the editor does not round them
+    inUnit: (record, unit, { exact = false } = {}) => {
+        const converted = { ...record };
+        CONFIG.MEASUREMENTS.FIELDS.forEach(field => {
+            const value = exact
+                ? MeasurementUnits.toEntered(record[field], unit)
+                : MeasurementUnits.fromStored(record[field], unit);
+            if (!isNaN(value)) converted[field] = String(value);
         });
+        return converted;
     }
+};
 
-    validateField(field) {
-        const value = field.value.trim();
-        const name = field.name;
-        let isValid = true;
-        let errorMessage = '';
-
-        // Remove existing status classes
-        field.classList.remove('valid', 'invalid');
-        this.removeFieldError(field);
+// ===== MEASUREMENT CHECKS =====
+// Catches mistyped measurements before fabric is cut, using the ranges and
+// rules in CONFIG.VALIDATION.MEASUREMENTS. An error means a value cannot be
+// right; a warning means it is unusual and should be checked.
+const MeasurementChecks = {
+    // `values` are in the stored unit; messages quote them in `unit`.
+    // Returns [{ field, level: 'error' | 'warning', message }]
+    check: (values, unit = CONFIG.MEASUREMENTS.UNIT) => {
+        const { RANGES, RULES } = CONFIG.VALIDATION.MEASUREMENTS;
+        const format = (value) => MeasurementUnits.format(value, unit);
+        const number = (field) => {
+            const value = parseFloat(values[field]);
+            return value > 0 ? value : null;
+        };
+        const outside = (value, [min, max]) => value < min || value > max;
+        const issues = [];
+
+        Object.entries(RANGES).forEach(([field, { hard, soft }]) => {
+            const value = number(field);
+            if (value === null) return;
+            if (outside(value, hard)) {
+                issues.push({
+                    field,
+                    level: 'error',
+                    message: `${field} must be between ${format(hard[0])} and ${format(hard[1])}. Please measure again.`
+                });
+            } else if (outside(value, soft)) {
+                issues.push({
+                    field,
+                    level: 'warning',
+                    message: `${format(value)} is unusual for ${field} (most are ${format(soft[0])} to ${format(soft[1])}). Please check it.`
+                });
+            }
+        });
+
+        RULES.forEach(({ field, other, hard, soft }) => {
+            const value = number(field);
+            const compared = number(other);
+            if (value === null || compared === null) return;
+
+            const ratio = value / compared;
+            if (outside(ratio, hard)) {
+                issues.push({
+                    field,
+                    level: 'error',
+                    message: `${field} (${format(value)}) and ${other} (${format(compared)}) cannot both be right. Please measure them again.`
+                });
+            } else if (outside(ratio, soft)) {
+                issues.push({
+                    field,
+                    level: 'warning',
+                    message: `${field} (${format(value)}) looks ${ratio < soft[0] ? 'small' : 'large'} for a ${other} of ${format(compared)}. Please check both.`
+                });
+            }
+        });
+
+        return issues;
+    }
+};
+
+// ===== MEASUREMENT HISTORY =====
+const MeasurementHistory = {
+    // One entry per field either set holds; delta is newer minus older
+    compare: (older, newer) => CONFIG.MEASUREMENTS.FIELDS.filter(field =>
+        [older, newer].some(set => MeasurementSchema.getRecordFields(set).includes(field))
+    ).map(field => {
+        const from = parseFloat(older[field]);
+        const to = parseFloat(newer[field]);
+        const delta = isNaN(from) || isNaN(to) ? null : Math.round((to - from) * 100) / 100;
+        return { field, from: isNaN(from) ? null : from, to: isNaN(to) ? null : to, delta };
+    }),
+
+    getChanges: (older, newer) => MeasurementHistory.compare(older, newer)
+        .filter(change => change.delta !== 0),
+
+    formatValue: (value, unit) => MeasurementUnits.format(value, unit),
+
+    formatDelta: (delta, unit = MeasurementUnits.getDisplayUnit()) => {
+        if (delta === null) return 'n/a';
+        const converted = MeasurementUnits.fromStored(delta, unit);
+        const symbol = MeasurementUnits.get(unit).symbol;
+        if (converted === 0) return `0${symbol}`;
+        return `${converted > 0 ? '+' : '\u2212'}${Math.abs(converted)}${symbol}`;
+    },
+
+    describeChanges: (changes) => changes.length === 0
+        ? 'No changes'
+        : changes.map(change => `${change.field} ${MeasurementHistory.formatDelta(change.delta)}`).join(', ')
+};
+
+// ===== RECORD QUERY =====
+// Search syntax used by the data panel. Plain words match any field (names
+// fuzzily); `key:value` narrows one field:
+//   name:asha  phone:0771234567  email:gmail  service:blouse  status:ready,trial  ref:M-7K2QXD
+//   type:appointments  created:2026-03..2026-04  preferred:2026-11-01..
+//   bust:30..34  waist:>28  sleeve:<=6  armhole:15..17  style:"boat neck"
+// (measurements in the unit they are shown in)
+// Quote values containing spaces: name:"nimali perera".
+const RecordQuery = {
+    KEYS: {
+        name: 'name', phone: 'phone', email: 'email', service: 'service', status: 'status', type: 'type',
+        ref: 'reference', reference: 'reference',
+        created: 'created', submitted: 'created', date: 'created',
+        preferred: 'preferred', booked: 'preferred',
+        style: 'style',
+        bust: 'Bust', underbust: 'Under Bust', waist: 'Waist', shoulder: 'Shoulder Width', length: 'Blouse Length',
+        armhole: 'Armhole', frontneck: 'Front Neck Depth', backneck: 'Back Neck Depth', apex: 'Apex Distance',
+        shoulderapex: 'Shoulder to Apex', sleeve: 'Sleeve Length', sleeveround: 'Sleeve Round'
+    },
+
+    // Sort keys offered by the results table; each reads a comparable value
+    SORTS: {
+        timestamp: record => record.timestamp,
+        name: record => Utils.normalizeName(record.Name),
+        preferred: record => `${record['Preferred Date'] || ''} ${record['Preferred Time'] || ''}`,
+        status: record => record.status || ''
+    },
+
+    parse: (text) => {
+        const query = { terms: [], filters: [], errors: [] };
+        const tokens = String(text || '').match(/(?:[^\s"]+:"[^"]*"|"[^"]*"|\S)+/g) || [];
+
+        tokens.forEach(token => {
+            const match = token.match(/^([a-z]+):(.*)$/i);
+            const key = match && RecordQuery.KEYS[match[1].toLowerCase()];
+            if (!key) {
+                query.terms.push(token.replace(/"/g, ''));
+                return;
+            }
+
+            const value = match[2].replace(/"/g, '').trim();
+            const filter = RecordQuery.parseFilter(key, value);
+            if (filter) {
+                query.filters.push(filter);
+            } else {
+                query.errors.push(token);
+            }
+        });
+
+        return query;
+    },
+
+    parseFilter: (key, value) => {
+        if (!value) return null;
+
+        if (key === 'created' || key === 'preferred') {
+            const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+            const valid = (part) => !part || /^\d{4}(-\d{2}(-\d{2})?)?$/.test(part);
+            return valid(from) && valid(to) && (from || to) ? { key, from, to } : null;
+        }
+
+        if (CONFIG.MEASUREMENTS.FIELDS.includes(key)) {
+            const range = value.match(/^(-?[\d.]*)\.\.(-?[\d.]*)$/);
+            const compare = value.match(/^(>=|<=|>|<)?(-?\d+(?:\.\d+)?)$/);
+            if (range && (range[1] || range[2])) {
+                const min = range[1] ? parseFloat(range[1]) : -Infinity;
+                const max = range[2] ? parseFloat(range[2]) : Infinity;
+                return isNaN(min) || isNaN(max) ? null : { key, min, max, minInclusive: true, maxInclusive: true };
+            }
+            if (!compare) return null;
+
+            const number = parseFloat(compare[2]);
+            switch (compare[1]) {
+                case '>': return { key, min: number, max: Infinity, minInclusive: false };
+                case '>=': return { key, min: number, max: Infinity, minInclusive: true };
+                case '<': return { key, min: -Infinity, max: number, maxInclusive: false };
+                case '<=': return { key, min: -Infinity, max: number, maxInclusive: true };
+                default: return { key, min: number, max: number, minInclusive: true, maxInclusive: true };
+            }
+        }
+
+        return { key, value: value.toLowerCase() };
+    },
+
+    // names: every name the record's customer is known by
+    matches: (type, record, query, names = [record.Name]) => {
+        const text = (value) => String(value || '').toLowerCase();
+
+        const passes = query.filters.every(filter => {
+            switch (filter.key) {
+                case 'name':
+                    return RecordQuery.matchesName(filter.value, names);
+                case 'phone': {
+                    const phone = Utils.normalizePhone(filter.value);
+                    return Boolean(phone) && (Utils.normalizePhone(record['Contact Number']) || '').includes(phone);
+                }
+                case 'email':
+                    return text(record.Email).includes(filter.value);
+                case 'service':
+                    return text(record['Service Type']).includes(filter.value);
+                case 'style':
+                    return text(record['Blouse Style']).includes(filter.value);
+                case 'reference':
+                    return text(record.reference).includes(filter.value);
+                case 'status':
+                    return filter.value.split(',').some(status =>
+                        text(record.status) === status || text(StatusWorkflow.getLabel(record.status)) === status);
+                case 'type':
+                    return type.startsWith(filter.value);
+                case 'created':
+                    return RecordQuery.inDateRange(Utils.toShopDate(record.timestamp), filter);
+                case 'preferred':
+                    return RecordQuery.inDateRange(record['Preferred Date'], filter);
+                default: {
+                    // Typed in the unit measurements are shown in
+                    const value = MeasurementUnits.fromStored(record[filter.key], MeasurementUnits.getDisplayUnit());
+                    if (isNaN(value)) return false;
+                    const aboveMin = filter.minInclusive ? value >= filter.min : value > filter.min;
+                    const belowMax = filter.maxInclusive ? value <= filter.max : value < filter.max;
+                    return aboveMin && belowMax;
+                }
+            }
+        });
+
+        return passes && query.terms.every(term => {
+            const lower = term.toLowerCase();
+            return RecordQuery.matchesName(lower, names) || Object.values(record).some(value =>
+                (typeof value === 'string' || typeof value === 'number') && text(value).includes(lower));
+        });
+    },
+
+    // Partial dates cover the whole year or month: 2026-03 matches any day in March
+    inDateRange: (day, { from, to }) => {
+        if (!day) return false;
+        return (!from || day >= from) && (!to || day.slice(0, to.length) <= to);
+    },
+
+    // Romanised Sinhala and Tamil names are spelled many ways (Tharushi/Tarushi,
+    // Wijesinghe/Vijesinghe, Nimaali/Nimali), so compare a folded form
+    foldName: (name) => Utils.normalizeName(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z\s]/g, '')
+        .replace(/([bcdgkpst])h/g, '$1')
+        .replace(/w/g, 'v')
+        .replace(/(.)\1+/g, '$1'),
+
+    // Every word of the query must start a word of one of the names, allowing
+    // a typo or two in longer words
+    matchesName: (query, names) => {
+        const queryWords = RecordQuery.foldName(query).split(' ').filter(Boolean);
+        if (queryWords.length === 0) return false;
+
+        return names.filter(Boolean).some(name => {
+            const nameWords = RecordQuery.foldName(name).split(' ');
+            return queryWords.every(word => nameWords.some(candidate => {
+                if (candidate.startsWith(word)) return true;
+                const allowed = word.length >= 7 ? 2 : word.length >= 4 ? 1 : 0;
+                return allowed > 0 && RecordQuery.distance(word, candidate.slice(0, word.length + allowed)) <= allowed;
+            }));
+        });
+    },
+
+    // Levenshtein edit distance
+    distance: (a, b) => {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    sort: (results, key = 'timestamp', direction = 'desc') => {
+        const read = RecordQuery.SORTS[key] || RecordQuery.SORTS.timestamp;
+        const order = direction === 'asc' ? 1 : -1;
+        return [...results].sort((a, b) => {
+            const left = read(a.record);
+            const right = read(b.record);
+            return left < right ? -order : left > right ? order : 0;
+        });
+    }
+};
+
+// ===== CLOSURES =====
+// Days the shop is closed on top of the weekly opening hours: holidays,
+// Poya days, annual leave. A closure runs from `start` to `end` (YYYY-MM-DD,
+// inclusive), on the same dates every year when `yearly` is set. With `from`
+// and `to` (HH:MM) it closes only those hours of each day.
+const Closures = {
+    getStored: () => {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.CLOSURES.STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    getAll: () => [
+        ...CONFIG.CLOSURES.BUILT_IN.map(closure => ({ ...closure, builtIn: true })),
+        ...Closures.getStored()
+    ],
+
+    // source 'remote' marks closures received from the sync service; any
+    // other change is held as unshared until SyncManager has pushed it
+    save: (closures, source = 'local') => {
+        localStorage.setItem(CONFIG.CLOSURES.STORAGE_KEY, JSON.stringify(closures));
+        if (source === 'local') localStorage.setItem(CONFIG.CLOSURES.UNSHARED_KEY, '1');
+        window.dispatchEvent(new CustomEvent('bandra:closures', { detail: { source } }));
+    },
+
+    covers: (closure, day) => {
+        if (!closure.yearly) {
+            return day >= closure.start && day <= closure.end;
+        }
+        const date = day.slice(5);
+        const start = closure.start.slice(5);
+        const end = closure.end.slice(5);
+        // A yearly closure may run over the new year
+        return start <= end ? date >= start && date <= end : date >= start || date <= end;
+    },
+
+    hasUnshared: () => localStorage.getItem(CONFIG.CLOSURES.UNSHARED_KEY) === '1',
+
+    markShared: () => localStorage.removeItem(CONFIG.CLOSURES.UNSHARED_KEY),
+
+    // Ours first, then any of `closures` we do not hold
+    merge: (closures) => {
+        const stored = Closures.getStored();
+        const ids = new Set(stored.map(closure => closure.id));
+        return [...stored, ...closures.filter(closure => !ids.has(closure.id))];
+    },
+
+    isAllDay: (closure) => !closure.from || !closure.to,
+
+    forDay: (day) => Closures.getAll().filter(closure => Closures.covers(closure, day)),
+
+    // e.g. "25 Dec, every year" or "3 Aug 2026 - 7 Aug 2026, 14:00-16:00"
+    describe: (closure) => {
+        const format = (day) => Utils.parseLocalDate(day).toLocaleDateString(undefined, closure.yearly
+            ? { day: 'numeric', month: 'short' }
+            : { day: 'numeric', month: 'short', year: 'numeric' });
+        const days = closure.end === closure.start ? format(closure.start) : `${format(closure.start)} - ${format(closure.end)}`;
+        const hours = Closures.isAllDay(closure) ? '' : `, ${closure.from}-${closure.to}`;
+        return `${days}${hours}${closure.yearly ? ', every year' : ''}`;
+    },
+
+    add: (fields) => {
+        const closure = {
+            id: Utils.generateId(),
+            start: fields.start,
+            end: fields.end || fields.start,
+            yearly: Boolean(fields.yearly),
+            from: fields.from || '',
+            to: fields.to || '',
+            reason: String(fields.reason || '').trim()
+        };
+
+        let error = null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(closure.start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(closure.end)) {
+            error = 'Choose the first and last closed day';
+        } else if (closure.end < closure.start) {
+            error = 'The last closed day cannot be before the first';
+        } else if (Boolean(closure.from) !== Boolean(closure.to) || (closure.from && closure.from >= closure.to)) {
+            error = 'Give both times for a part-day closure, the first before the second';
+        } else if (!closure.reason) {
+            error = 'Give a reason; customers see it when they choose the date';
+        }
+        if (error) {
+            return { success: false, data: null, error: new Error(error) };
+        }
+
+        Closures.save([...Closures.getStored(), closure]);
+        return { success: true, data: closure, error: null };
+    },
+
+    remove: (id) => {
+        Closures.save(Closures.getStored().filter(closure => closure.id !== id));
+    },
+
+    // Upcoming bookings that a closure now falls on
+    findAffected: (appointments, now = new Date()) => {
+        const today = Utils.toShopDate(now);
+        return appointments.filter(appointment => {
+            const day = appointment['Preferred Date'];
+            if (!day || day < today || StatusWorkflow.isFinal('appointments', appointment.status)
+                || CONFIG.BOOKING.FREE_STATUSES.includes(appointment.status)) {
+                return false;
+            }
+            if (!BookingSlots.getHours(day)) return true;
+            if (!appointment['Preferred Time']) return false;
+            const start = BookingSlots.toMinutes(appointment['Preferred Time']);
+            return !BookingSlots.isOpenAt(day, start, start + BookingSlots.getBookedDuration(appointment));
+        });
+    }
+};
+
+// ===== BOOKING SLOTS =====
+// Bookable start times for a day and service. A booking occupies every slot
+// from its start until its duration has passed; a slot is free while fewer
+// than CAPACITY bookings overlap it. Appointments saved before times were
+// introduced have no 'Preferred Time' and do not hold a slot.
+const BookingSlots = {
+    toMinutes: (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+
+    formatTime: (minutes) =>
+        `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`,
+
+    // Opening and closing minutes for a YYYY-MM-DD day, with the part-day
+    // closures in `closed`, or null when the shop is closed all day
+    getHours: (day) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '')) return null;
+        const hours = CONFIG.BOOKING.HOURS[Utils.parseLocalDate(day).getDay()];
+        if (!hours) return null;
+
+        const open = BookingSlots.toMinutes(hours[0]);
+        const close = BookingSlots.toMinutes(hours[1]);
+        const closures = Closures.forDay(day);
+        if (closures.some(Closures.isAllDay)) return null;
+
+        const closed = closures.map(closure => ({
+            from: BookingSlots.toMinutes(closure.from),
+            to: BookingSlots.toMinutes(closure.to),
+            reason: closure.reason
+        }));
+        return closed.some(range => range.from <= open && range.to >= close) ? null : { open, close, closed };
+    },
+
+    // Why a day, or a booking of `duration` minutes from `time` on it, cannot
+    // be booked; null when it is open
+    getClosedReason: (day, time = '', duration = CONFIG.BOOKING.SLOT_MINUTES) => {
+        const hours = BookingSlots.getHours(day);
+        if (!hours) {
+            const closure = Closures.forDay(day)[0];
+            return closure ? closure.reason : 'Closed';
+        }
+        if (!time) return null;
+
+        const start = BookingSlots.toMinutes(time);
+        const range = hours.closed.find(closed => start < closed.to && start + duration > closed.from);
+        return range ? range.reason : null;
+    },
+
+    // Whether [start, end) minutes fall within opening hours and outside part-day closures
+    isOpenAt: (day, start, end) => {
+        const hours = BookingSlots.getHours(day);
+        return Boolean(hours) && start >= hours.open && end <= hours.close
+            && !hours.closed.some(range => start < range.to && end > range.from);
+    },
+
+    getDuration: (service) => CONFIG.BOOKING.DURATIONS[service] || CONFIG.BOOKING.DEFAULT_DURATION,
+
+    getBookedDuration: (appointment) =>
+        Number(appointment.duration) || BookingSlots.getDuration(appointment['Service Type']),
+
+    // When the appointment starts; bookings without a time count from opening
+    getStartTime: (appointment) => {
+        const day = appointment['Preferred Date'];
+        const hours = BookingSlots.getHours(day);
+        const time = appointment['Preferred Time'] || (hours && BookingSlots.formatTime(hours.open));
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '') || !time) return null;
+        return new Date(`${day}T${time}:00${CONFIG.CALENDAR.UTC_OFFSET}`);
+    },
+
+    holdsSlot: (appointment) => Boolean(appointment['Preferred Time'])
+        && !CONFIG.BOOKING.FREE_STATUSES.includes(appointment.status),
+
+    // Whether the service's DAILY_CAP is reached; bookings without a time count too
+    isCapped: (day, service, appointments, excludeId = null) => {
+        const cap = CONFIG.BOOKING.DAILY_CAP[service];
+        if (cap === undefined) return false;
+        return appointments.filter(appointment => appointment.id !== excludeId
+            && appointment['Preferred Date'] === day && appointment['Service Type'] === service
+            && !CONFIG.BOOKING.FREE_STATUSES.includes(appointment.status)).length >= cap;
+    },
+
+    // Most bookings running at once anywhere in [start, end)
+    getLoad: (day, start, end, appointments, excludeId = null) => {
+        const step = CONFIG.BOOKING.SLOT_MINUTES;
+        const booked = appointments
+            .filter(appointment => appointment.id !== excludeId && appointment['Preferred Date'] === day
+                && BookingSlots.holdsSlot(appointment))
+            .map(appointment => {
+                const from = BookingSlots.toMinutes(appointment['Preferred Time']);
+                return { from, to: from + BookingSlots.getBookedDuration(appointment) };
+            });
+
+        let peak = 0;
+        for (let slot = start; slot < end; slot += step) {
+            peak = Math.max(peak, booked.filter(booking => booking.from < slot + step && booking.to > slot).length);
+        }
+        return peak;
+    },
+
+    // Start times that fit the service before closing, with how many places
+    // are left; times that have already passed today are left out
+    getSlots: (day, service, appointments, { excludeId = null, now = new Date() } = {}) => {
+        const hours = BookingSlots.getHours(day);
+        const today = Utils.toShopDate(now);
+        if (!hours || day < today || BookingSlots.isCapped(day, service, appointments, excludeId)) return [];
+
+        const duration = BookingSlots.getDuration(service);
+        const earliest = day === today ? Utils.getShopMinutes(now) + 1 : 0;
+        const slots = [];
+        for (let start = hours.open; start + duration <= hours.close; start += CONFIG.BOOKING.SLOT_MINUTES) {
+            if (start < earliest || !BookingSlots.isOpenAt(day, start, start + duration)) continue;
+            const load = BookingSlots.getLoad(day, start, start + duration, appointments, excludeId);
+            slots.push({ time: BookingSlots.formatTime(start), free: CONFIG.BOOKING.CAPACITY - load });
+        }
+        return slots;
+    },
+
+    // Why the customer can no longer move or cancel a booking online, or null
+    getSelfServiceBlock: (appointment, now = new Date()) => {
+        const { STATUSES, CUTOFF_HOURS } = CONFIG.BOOKING.SELF_SERVICE;
+        if (Waitlist.isWaiting(appointment)) {
+            return `You are on the waitlist. We will contact you on ${appointment['Contact Number']} if a place opens up.`;
+        }
+        if (!STATUSES.includes(appointment.status)) {
+            return `This booking is ${StatusWorkflow.getLabel(appointment.status).toLowerCase()} and can no longer be changed.`;
+        }
+        const start = BookingSlots.getStartTime(appointment);
+        if (start && start - now < CUTOFF_HOURS * 3600000) {
+            return `Bookings can be changed online until ${CUTOFF_HOURS} hours before they start. `
+                + `Please call or WhatsApp us on ${CONFIG.WHATSAPP.NUMBER}.`;
+        }
+        return null;
+    },
+
+    // An open day from today on with no free time left for the service
+    isFull: (day, service, appointments, options = {}) => Boolean(BookingSlots.getHours(day))
+        && day >= Utils.toShopDate(options.now || new Date())
+        && !BookingSlots.getSlots(day, service, appointments, options).some(slot => slot.free > 0),
+
+    isAvailable: (day, time, service, appointments, options = {}) => BookingSlots
+        .getSlots(day, service, appointments, options)
+        .some(slot => slot.time === time && slot.free > 0),
+
+    // e.g. "12/1/2026 at 10:30"; the date is read as a local day
+    formatWhen: (appointment) => {
+        const day = appointment['Preferred Date'];
+        if (!day) return '-';
+        const date = new Date(`${day}T00:00`).toLocaleDateString();
+        return appointment['Preferred Time'] ? `${date} at ${appointment['Preferred Time']}` : date;
+    }
+};
+
+// Thrown when the chosen time was taken after the form showed it as free,
+// or a closure was added since
+class SlotUnavailableError extends Error {
+    constructor(closedReason = null) {
+        super(closedReason
+            ? `We are closed then (${closedReason}). Please choose another time.`
+            : 'That time is already booked. Please choose another time.');
+        this.name = 'SlotUnavailableError';
+    }
+}
+
+// ===== REMINDERS =====
+// Staff remind customers of their appointments by WhatsApp, SMS or email.
+// Each lead time is tracked on its own in the appointment's reminderSent
+// map ({ '24h': <ISO date sent>, ... }); moving the appointment clears it.
+const Reminders = {
+    isActive: (appointment) => CONFIG.REMINDERS.STATUSES.includes(appointment.status),
+
+    // The reminder to send now for each appointment, if any
+    getDue: (appointments, now = new Date()) => appointments
+        .filter(Reminders.isActive)
+        .map(appointment => {
+            const start = BookingSlots.getStartTime(appointment);
+            if (!start || start <= now) return null;
+            const minutesLeft = (start - now) / 60000;
+            const lead = CONFIG.REMINDERS.LEAD_TIMES
+                .filter(leadTime => leadTime.minutes >= minutesLeft)
+                .sort((a, b) => a.minutes - b.minutes)[0];
+            return lead && !(appointment.reminderSent || {})[lead.key] ? { appointment, lead, start } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start),
+
+    getUpcoming: (appointments, now = new Date()) => {
+        const until = now.getTime() + CONFIG.REMINDERS.UPCOMING_HOURS * 3600000;
+        return appointments
+            .filter(Reminders.isActive)
+            .map(appointment => ({ appointment, start: BookingSlots.getStartTime(appointment) }))
+            .filter(({ start }) => start && start > now && start.getTime() <= until)
+            .sort((a, b) => a.start - b.start);
+    },
+
+    // e.g. "Tuesday, 20 October at 10:30"
+    formatWhen: (appointment) => {
+        const date = new Date(`${appointment['Preferred Date']}T00:00`)
+            .toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+        return appointment['Preferred Time'] ? `${date} at ${appointment['Preferred Time']}` : date;
+    },
+
+    fill: (template, appointment) => {
+        const values = {
+            name: appointment.Name,
+            service: appointment['Service Type'] || 'appointment',
+            when: Reminders.formatWhen(appointment),
+            reference: appointment.reference,
+            shop: CONFIG.CALENDAR.SHOP_NAME,
+            address: CONFIG.CALENDAR.LOCATION,
+            phone: CONFIG.WHATSAPP.NUMBER
+        };
+        return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+    },
+
+    getMessage: (channel, appointment, templates = CONFIG.REMINDERS.TEMPLATES) =>
+        Reminders.fill(templates[channel], appointment),
+
+    // Links that open each channel with the message filled in; email is
+    // null when the customer gave no address
+    getLinks: (appointment, templates = CONFIG.REMINDERS.TEMPLATES) => {
+        const phone = Utils.normalizePhone(appointment['Contact Number']);
+        const message = (channel) => encodeURIComponent(Reminders.getMessage(channel, appointment, templates));
+        return {
+            whatsapp: `https://wa.me/${phone}?text=${message('whatsapp')}`,
+            sms: `sms:+${phone}?body=${message('sms')}`,
+            email: appointment.Email
+                ? `mailto:${encodeURIComponent(appointment.Email)}?subject=${message('emailSubject')}&body=${message('email')}`
+                : null
+        };
+    }
+};
+
+// ===== WAITLIST =====
+// Customers asking for a full date are saved as appointments with the
+// 'waitlisted' status, the full date as 'Preferred Date' and no time. When a
+// booking gives up its place, the longest-waiting customer who can use it is
+// moved up to 'pending' and listed in the data panel for staff to tell.
+const Waitlist = {
+    isWaiting: (appointment) => appointment.status === 'waitlisted',
+
+    // The full date first, then the other dates in the customer's order
+    getDates: (entry) => [entry['Preferred Date'], ...(entry['Alternative Dates'] || [])],
+
+    // The day a booking stops taking up a place on, or null
+    getFreedDay: (before, after) => {
+        const holds = (record) => Boolean(record && record['Preferred Date'])
+            && !CONFIG.BOOKING.FREE_STATUSES.includes(record.status);
+        if (!holds(before)) return null;
+        const kept = holds(after) && ['Preferred Date', 'Preferred Time', 'Service Type']
+            .every(field => after[field] === before[field]);
+        return kept ? null : before['Preferred Date'];
+    },
+
+    // Customers moved up who have not been told yet
+    getToNotify: (appointments) => appointments
+        .filter(appointment => appointment.waitlistPromotedAt && !appointment.waitlistNotifiedAt
+            && !CONFIG.BOOKING.FREE_STATUSES.includes(appointment.status))
+        .sort((a, b) => new Date(a.waitlistPromotedAt) - new Date(b.waitlistPromotedAt)),
+
+    getWaiting: (appointments) => appointments
+        .filter(Waitlist.isWaiting)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+};
+
+// ===== CSV =====
+// RFC 4180: fields holding the separator, quotes or line breaks are quoted,
+// quotes are doubled and rows end with CRLF.
+const CsvFormat = {
+    getColumns: (records) => {
+        const present = new Set();
+        records.forEach(record => Object.keys(record).forEach(key => present.add(key)));
+
+        const known = CONFIG.CSV.COLUMNS.filter(column => present.has(column));
+        const others = Array.from(present).filter(column => !CONFIG.CSV.COLUMNS.includes(column)).sort();
+        return [...known, ...others];
+    },
+
+    // Cells starting like a formula (=, +, -, @) would run as one in Excel,
+    // e.g. a customer's message, so they get a leading ' that parse() drops
+    FORMULA_START: /^[=+\-@\t\r]/,
+
+    escape: (value) => {
+        if (value === null || value === undefined) return '';
+        // e.g. statusHistory or a customer's phones
+        const raw = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        const text = CsvFormat.FORMULA_START.test(raw) ? `'${raw}` : raw;
+        return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    unescapeFormula: (cell) => cell.startsWith("'") && CsvFormat.FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell,
+
+    stringify: (records, columns, bom = false) => {
+        const lines = [
+            columns.map(CsvFormat.escape).join(','),
+            ...records.map(record => columns.map(column => CsvFormat.escape(record[column])).join(','))
+        ];
+        return (bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+    },
+
+    // Returns rows of cells. Spreadsheets saved with semicolons or tabs (common
+    // outside English locales) are recognised from the header line.
+    parse: (text) => {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const header = source.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t'].reduce((best, candidate) =>
+            header.split(candidate).length > header.split(best).length ? candidate : best, ',');
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows
+            .filter(cells => cells.some(cell => cell.trim() !== ''))
+            .map(cells => cells.map(CsvFormat.unescapeFormula));
+    },
+
+    // Picks the field a spreadsheet heading most likely holds, or '' to skip it
+    guessField: (heading, fields) => {
+        const name = heading.toLowerCase().replace(/\(.*?\)/g, '').replace(/\s+/g, ' ').trim();
+        return fields.find(field => field.toLowerCase() === name) ||
+            fields.find(field => (CONFIG.CSV.HEADER_ALIASES[field] || []).includes(name)) ||
+            fields.find(field => CONFIG.MEASUREMENTS.FIELDS.includes(field) &&
+                name.startsWith(field.toLowerCase().split(' ')[0])) ||
+            '';
+    },
+
+    // ISO dates, or day-first dates as written in Sri Lanka: 12/03/2021 is 12 March
+    parseDate: (value) => {
+        const text = String(value || '').trim();
+        const parts = text.match(/^(\d{4})-(\d{2})-(\d{2})$/) ||
+            text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/);
+
+        if (!parts) {
+            const date = new Date(text);
+            return text && !isNaN(date) ? date.toISOString() : null;
+        }
+
+        const [year, month, day] = parts[1].length === 4
+            ? [parts[1], parts[2], parts[3]].map(Number)
+            : [parts[3], parts[2], parts[1]].map(Number);
+        const fullYear = year < 100 ? 2000 + year : year;
+        const date = new Date(fullYear, month - 1, day);
+        return date.getMonth() === month - 1 && date.getDate() === day ? date.toISOString() : null;
+    },
+
+    // "14:30", "2:30 pm" or "2.30PM" to HH:MM
+    parseTime: (value) => {
+        const parts = String(value || '').trim().toLowerCase().match(/^(\d{1,2})[:.](\d{2})\s*(am|pm)?$/);
+        if (!parts) return null;
+
+        let hours = Number(parts[1]);
+        const minutes = Number(parts[2]);
+        if (parts[3]) {
+            if (hours < 1 || hours > 12) return null;
+            hours = hours % 12 + (parts[3] === 'pm' ? 12 : 0);
+        }
+        return hours < 24 && minutes < 60 ? BookingSlots.formatTime(hours * 60 + minutes) : null;
+    }
+};
+
+// ===== ICALENDAR =====
+// RFC 5545 calendars for appointments. Bookings with a time become timed
+// events in UTC; older date-only bookings stay all-day. SEQUENCE follows the
+// record revision so calendar apps replace an earlier copy of the same booking.
+const ICalendar = {
+    STATUS: {
+        pending: 'TENTATIVE',
+        confirmed: 'CONFIRMED',
+        completed: 'CONFIRMED',
+        'no-show': 'CANCELLED',
+        cancelled: 'CANCELLED'
+    },
+
+    escapeText: (value) => String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n'),
+
+    // Content lines longer than 75 octets continue on lines starting with a space
+    fold: (line) => {
+        const encoder = new TextEncoder();
+        const lines = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > 75) {
+                lines.push(current);
+                current = ' ';
+                octets = 1;
+            }
+            current += char;
+            octets += size;
+        }
+        lines.push(current);
+        return lines.join('\r\n');
+    },
+
+    formatDate: (day) => day.replace(/-/g, ''),
+
+    formatDateTime: (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+
+    nextDay: (day) => {
+        const [year, month, date] = day.split('-').map(Number);
+        return Utils.toLocalDate(new Date(year, month - 1, date + 1));
+    },
+
+    // DTSTART/DTEND lines for the booking's slot, or the whole day without a time
+    timing: (appointment) => {
+        const day = appointment['Preferred Date'];
+        if (!/^\d{2}:\d{2}$/.test(appointment['Preferred Time'] || '')) {
+            return [
+                `DTSTART;VALUE=DATE:${ICalendar.formatDate(day)}`,
+                `DTEND;VALUE=DATE:${ICalendar.formatDate(ICalendar.nextDay(day))}`
+            ];
+        }
+
+        const start = BookingSlots.getStartTime(appointment);
+        const end = new Date(start.getTime() + BookingSlots.getBookedDuration(appointment) * 60000);
+        return [`DTSTART:${ICalendar.formatDateTime(start)}`, `DTEND:${ICalendar.formatDateTime(end)}`];
+    },
+
+    // audience 'customer' leaves out staff details and adds the shop's contact
+    event: (appointment, audience = 'staff') => {
+        const day = appointment['Preferred Date'];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '') || Waitlist.isWaiting(appointment)) return [];
+
+        const service = appointment['Service Type'] || 'Appointment';
+        const summary = audience === 'customer'
+            ? `${service} at ${CONFIG.CALENDAR.SHOP_NAME}`
+            : `${service} - ${appointment.Name}`;
+        const description = (audience === 'customer'
+            ? [`Booking for ${appointment.Name}`, appointment.Message && `Notes: ${appointment.Message}`,
+                `Questions? WhatsApp ${CONFIG.WHATSAPP.NUMBER}`]
+            : [`Customer: ${appointment.Name}`, `Phone: ${appointment['Contact Number']}`,
+                appointment.Email && `Email: ${appointment.Email}`, appointment.Message && `Notes: ${appointment.Message}`]
+        ).filter(Boolean).join('\n');
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${appointment.id}@${CONFIG.CALENDAR.UID_DOMAIN}`,
+            `DTSTAMP:${ICalendar.formatDateTime(appointment.updatedAt || appointment.timestamp)}`,
+            ...ICalendar.timing(appointment),
+            `SUMMARY:${ICalendar.escapeText(summary)}`,
+            `DESCRIPTION:${ICalendar.escapeText(description)}`,
+            `LOCATION:${ICalendar.escapeText(CONFIG.CALENDAR.LOCATION)}`,
+            `STATUS:${ICalendar.STATUS[appointment.status] || 'CONFIRMED'}`,
+            `SEQUENCE:${appointment.revision || 0}`,
+            'END:VEVENT'
+        ];
+    },
+
+    build: (appointments, audience = 'staff') => [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CONFIG.CALENDAR.PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${ICalendar.escapeText(CONFIG.CALENDAR.NAME)}`,
+        ...appointments.flatMap(appointment => ICalendar.event(appointment, audience)),
+        'END:VCALENDAR'
+    ].map(ICalendar.fold).join('\r\n') + '\r\n'
+};
+
+// ===== QR CODE =====
+// Minimal QR encoder for job card references: byte mode, error correction
+// level M, versions 1-10 (up to 213 bytes). Follows ISO/IEC 18004.
+const QRCode = {
+    // Error correction codewords per block and number of blocks at level M
+    ECC_PER_BLOCK: [null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+    BLOCKS: [null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+    MAX_VERSION: 10,
+    // Format information bits for level M
+    ECC_FORMAT_BITS: 0,
+
+    getBit: (value, index) => ((value >>> index) & 1) !== 0,
+
+    // Data modules left once finder, timing, alignment and version patterns are placed
+    getRawModules: (version) => {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignCount = Math.floor(version / 7) + 2;
+            modules -= (25 * alignCount - 10) * alignCount - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return modules;
+    },
+
+    getDataCodewords: (version) => Math.floor(QRCode.getRawModules(version) / 8)
+        - QRCode.ECC_PER_BLOCK[version] * QRCode.BLOCKS[version],
+
+    getAlignmentPositions: (version) => {
+        if (version === 1) return [];
+        const alignCount = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (alignCount * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < alignCount; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    },
+
+    // GF(2^8) arithmetic with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+    multiply: (x, y) => {
+        let product = 0;
+        for (let i = 7; i >= 0; i--) {
+            product = (product << 1) ^ ((product >>> 7) * 0x11D);
+            product ^= ((y >>> i) & 1) * x;
+        }
+        return product;
+    },
+
+    reedSolomon: (data, degree) => {
+        const divisor = new Array(degree).fill(0);
+        divisor[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                divisor[j] = QRCode.multiply(divisor[j], root);
+                if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+            }
+            root = QRCode.multiply(root, 0x02);
+        }
+
+        const remainder = new Array(degree).fill(0);
+        for (const byte of data) {
+            const factor = byte ^ remainder.shift();
+            remainder.push(0);
+            divisor.forEach((coefficient, i) => {
+                remainder[i] ^= QRCode.multiply(coefficient, factor);
+            });
+        }
+        return remainder;
+    },
+
+    // Mode indicator, length and data bytes, padded to the version's capacity
+    encodeData: (bytes) => {
+        let version = 1;
+        while (version <= QRCode.MAX_VERSION
+            && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > QRCode.getDataCodewords(version) * 8) {
+            version++;
+        }
+        if (version > QRCode.MAX_VERSION) {
+            throw new Error('Text is too long for a QR code');
+        }
+
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = QRCode.getDataCodewords(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return { version, codewords };
+    },
+
+    // Splits data into blocks, adds error correction and interleaves the result
+    addErrorCorrection: (version, data) => {
+        const blockCount = QRCode.BLOCKS[version];
+        const eccLength = QRCode.ECC_PER_BLOCK[version];
+        const rawCodewords = Math.floor(QRCode.getRawModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortLength = Math.floor(rawCodewords / blockCount);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortLength - eccLength + (i < shortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = QRCode.reedSolomon(block, eccLength);
+            if (i < shortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    },
+
+    MASKS: [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ],
+
+    // Lower is better: long runs, 2x2 blocks, finder look-alikes and uneven dark/light balance
+    penalty: (modules) => {
+        const size = modules.length;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let score = 0;
+        const finderLike = [/1011101(?=0000)/g, /0000(?=1011101)/g];
+        for (const line of lines) {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            const text = line.map(Number).join('');
+            finderLike.forEach(pattern => {
+                score += (text.match(pattern) || []).length * 40;
+            });
+        }
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    },
+
+    // Returns the module grid (true = dark) for the text
+    encode: (text) => {
+        const { version, codewords } = QRCode.encodeData(Array.from(new TextEncoder().encode(text)));
+        const data = QRCode.addErrorCorrection(version, codewords);
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const alignment = QRCode.getAlignmentPositions(version);
+        const last = alignment.length - 1;
+        alignment.forEach((cy, i) => alignment.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        const drawFormat = (mask) => {
+            const value = QRCode.ECC_FORMAT_BITS << 3 | mask;
+            let remainder = value;
+            for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            const bits = (value << 10 | remainder) ^ 0x5412;
+
+            for (let i = 0; i <= 5; i++) setFunction(8, i, QRCode.getBit(bits, i));
+            setFunction(8, 7, QRCode.getBit(bits, 6));
+            setFunction(8, 8, QRCode.getBit(bits, 7));
+            setFunction(7, 8, QRCode.getBit(bits, 8));
+            for (let i = 9; i < 15; i++) setFunction(14 - i, 8, QRCode.getBit(bits, i));
+            for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, QRCode.getBit(bits, i));
+            for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, QRCode.getBit(bits, i));
+            setFunction(8, size - 8, true);
+        };
+        drawFormat(0);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = version << 12 | remainder;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, QRCode.getBit(bits, i));
+                setFunction(b, a, QRCode.getBit(bits, i));
+            }
+        }
+
+        // Codewords zigzag up and down two-module columns from the bottom right
+        let bit = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const y = ((right + 1) & 2) === 0 ? size - 1 - vertical : vertical;
+                    if (!reserved[y][x] && bit < data.length * 8) {
+                        modules[y][x] = QRCode.getBit(data[bit >>> 3], 7 - (bit & 7));
+                        bit++;
+                    }
+                }
+            }
+        }
+
+        const applyMask = (mask) => {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (!reserved[y][x] && QRCode.MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+                }
+            }
+        };
+
+        let best = 0;
+        let bestScore = Infinity;
+        QRCode.MASKS.forEach((_, mask) => {
+            applyMask(mask);
+            drawFormat(mask);
+            const score = QRCode.penalty(modules);
+            if (score < bestScore) {
+                best = mask;
+                bestScore = score;
+            }
+            applyMask(mask);
+        });
+        applyMask(best);
+        drawFormat(best);
+
+        return modules;
+    },
+
+    toSVG: (text, border = 4) => {
+        const modules = QRCode.encode(text);
+        const size = modules.length + border * 2;
+        const path = [];
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+        }));
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+            + `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+    }
+};
+
+// ===== JOB CARD =====
+// Printable work order for a measurement set. The card opens as its own page
+// so the browser's print dialog can print it or save it as a PDF.
+const JobCard = {
+    // Latest appointment booked against this measurement set, if any
+    findAppointment: (measurement, appointments) => appointments
+        .filter(appointment => appointment.measurementId === measurement.id)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null,
+
+    defaultDueDate: () => Utils.addDays(Utils.toShopDate(new Date()), CONFIG.JOB_CARD.TURNAROUND_DAYS),
+
+    formatDate: (value) => {
+        if (!value) return '-';
+        // Date-only values are local days, not UTC midnight
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00`) : new Date(value);
+        return isNaN(date) ? '-' : date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+    },
+
+    render: (measurement, { customer = null, appointment = null, unit = MeasurementUnits.getDisplayUnit() } = {}) => {
+        const escape = Utils.escapeHtml;
+        const reference = measurement.reference;
+        const service = measurement['Service Type'] || (appointment && appointment['Service Type']) || '';
+        const notes = [measurement['Additional Notes'], appointment && appointment.Message].filter(Boolean);
+        const phone = measurement['Contact Number'] || (customer && customer.phones[0]) || '';
+        const email = (customer && customer.Email) || (appointment && appointment.Email) || '';
+
+        const rows = MeasurementSchema.getRecordFields(measurement).map(field => {
+            const value = MeasurementUnits.fromStored(measurement[field], unit);
+            return `<tr><th>${escape(field)}</th><td>${isNaN(value) ? '-' : `${value} ${unit}`}</td></tr>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Job Card ${escape(reference)} - ${escape(measurement.Name)}</title>
+    <style>
+        @page { size: A5; margin: 10mm; }
+        body { font-family: Arial, sans-serif; color: #222; margin: 20px; font-size: 13px; }
+        .card { border: 2px solid #222; padding: 16px; max-width: 640px; margin: 0 auto; }
+        header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #d4af37; padding-bottom: 8px; }
+        h1 { font-size: 20px; margin: 0; }
+        h2 { font-size: 14px; margin: 16px 0 6px; text-transform: uppercase; letter-spacing: 0.05em; }
+        .qr { text-align: center; font-family: monospace; font-size: 14px; font-weight: bold; }
+        .qr svg { width: 96px; height: 96px; display: block; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #ccc; vertical-align: top; }
+        th { width: 40%; font-weight: normal; color: #555; }
+        .notes { border: 1px solid #ccc; min-height: 48px; padding: 6px; white-space: pre-wrap; }
+        .line { border-bottom: 1px solid #999; height: 26px; }
+        .signatures { display: flex; gap: 24px; margin-top: 16px; }
+        .signatures div { flex: 1; border-top: 1px solid #999; padding-top: 4px; color: #555; }
+        .actions { text-align: center; margin: 16px 0; }
+        .actions button { background: #d4af37; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; }
+        @media print { body { margin: 0; } .actions { display: none; } }
+    </style>
+</head>
+<body>
+    <div class="actions"><button type="button" onclick="window.print()">Print / Save as PDF</button></div>
+    <div class="card">
+        <header>
+            <div>
+                <h1>${escape(CONFIG.CALENDAR.SHOP_NAME)}</h1>
+                <div>Tailoring Job Card</div>
+                <div>Printed ${escape(JobCard.formatDate(new Date()))}</div>
+            </div>
+            <div class="qr">${QRCode.toSVG(reference, 2)}${escape(reference)}</div>
+        </header>
+
+        <h2>Customer</h2>
+        <table>
+            <tr><th>Name</th><td>${escape(measurement.Name)}</td></tr>
+            <tr><th>Phone</th><td>${escape(phone) || '-'}</td></tr>
+            ${email ? `<tr><th>Email</th><td>${escape(email)}</td></tr>` : ''}
+        </table>
+
+        <h2>Order</h2>
+        <table>
+            <tr><th>Service</th><td>${escape(service) || '-'}</td></tr>
+            <tr><th>Blouse style</th><td>${escape(measurement['Blouse Style']) || '-'}</td></tr>
+            <tr><th>Measured on</th><td>${escape(JobCard.formatDate(measurement.timestamp))}</td></tr>
+            ${appointment ? `<tr><th>Appointment</th><td>${escape(JobCard.formatDate(appointment['Preferred Date']))}${appointment['Preferred Time'] ? ` at ${escape(appointment['Preferred Time'])}` : ''}</td></tr>` : ''}
+            <tr><th>Due date</th><td><strong>${escape(JobCard.formatDate(measurement.dueDate))}</strong></td></tr>
+            <tr><th>Status</th><td>${escape(StatusWorkflow.getLabel(measurement.status))}</td></tr>
+        </table>
+
+        <h2>Measurements</h2>
+        <table>${rows}</table>
+
+        <h2>Design Notes</h2>
+        <div class="notes">${notes.map(escape).join('\n\n') || '&nbsp;'}</div>
+
+        <h2>Trial Notes</h2>
+        ${'<div class="line"></div>'.repeat(CONFIG.JOB_CARD.TRIAL_NOTE_LINES)}
+        <div class="signatures"><div>Trial date</div><div>Cut by</div><div>Stitched by</div></div>
+    </div>
+</body>
+</html>`;
+    }
+};
+
+// ===== AUDIT LOG =====
+// Append-only history of record changes. Each entry keeps full before/after
+// copies of the record, who made the change and when, so a disputed
+// measurement can be traced back to the person who entered it. Browsers
+// without IndexedDB keep only the newest entries (see LocalStorageAdapter).
+const AuditLog = {
+    // Bookkeeping fields that change on every save
+    IGNORED_FIELDS: ['revision', 'updatedAt', 'schemaVersion'],
+    // Left out when listing changes; status changes are shown through `status`
+    HIDDEN_FIELDS: ['id', 'statusHistory'],
+
+    getOperator: () => sessionStorage.getItem(CONFIG.AUDIT.OPERATOR_KEY) || '',
+
+    setOperator: (name) => sessionStorage.setItem(CONFIG.AUDIT.OPERATOR_KEY, name.trim()),
+
+    // Field-level differences between two copies of a record
+    diff: (before, after) => {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        return Array.from(fields)
+            .filter(field => !AuditLog.IGNORED_FIELDS.includes(field))
+            .map(field => ({ field, from: (before || {})[field] ?? null, to: (after || {})[field] ?? null }))
+            .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+    },
+
+    // Pairs each record in `next` with its stored copy; stored records
+    // missing from `next` were deleted
+    pair: (stored, next) => {
+        const storedById = new Map(stored.map(record => [record.id, record]));
+        const nextIds = new Set(next.map(record => record.id));
+        return [
+            ...next.map(record => ({ before: storedById.get(record.id) || null, after: record })),
+            ...stored.filter(record => !nextIds.has(record.id)).map(record => ({ before: record, after: null }))
+        ];
+    },
+
+    // Returns null when nothing but bookkeeping fields changed
+    entry: (type, before, after, action = null) => {
+        const changes = AuditLog.diff(before, after);
+        if (changes.length === 0) return null;
+
+        const statusOnly = changes.every(change => ['status', 'statusHistory'].includes(change.field));
+        const record = after || before;
+        return {
+            id: Utils.generateId(),
+            timestamp: new Date().toISOString(),
+            action: action || (!before ? 'create' : !after ? 'delete' : statusOnly ? 'status' : 'update'),
+            type,
+            recordId: record.id,
+            label: record.reference ? `${record.Name} (${record.reference})` : record.Name,
+            operator: CONFIG.AUDIT.AUTOMATIC_OPERATORS[action]
+                || AuditLog.getOperator() || CONFIG.AUDIT.DEFAULT_OPERATOR,
+            before: before || null,
+            after: after || null
+        };
+    },
+
+    getActionLabel: (action) => CONFIG.AUDIT.ACTIONS[action] || action,
+
+    formatValue: (value) => {
+        if (value === null || value === '') return '(empty)';
+        if (Array.isArray(value)) return value.join(', ') || '(empty)';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    },
+
+    // filter: { type, action, operator, text, from, to } with '' meaning any
+    matches: (entry, filter) => {
+        if (filter.type && entry.type !== filter.type) return false;
+        if (filter.action && entry.action !== filter.action) return false;
+        if (filter.operator && entry.operator !== filter.operator) return false;
+
+        const day = Utils.toShopDate(entry.timestamp);
+        if (filter.from && day < filter.from) return false;
+        if (filter.to && day > filter.to) return false;
+
+        const text = filter.text.trim().toLowerCase();
+        return !text || [entry.label, entry.recordId, entry.operator]
+            .some(value => String(value || '').toLowerCase().includes(text));
+    }
+};
+
+// ===== DATA VAULT =====
+// Optional at-rest encryption. The shop passphrase is stretched with PBKDF2
+// into an AES-GCM key that only lives in memory for the current page; the
+// salt and an encrypted check value are kept in localStorage so a passphrase
+// can be verified on unlock.
+const DataVault = {
+    key: null,
+    waiting: [],
+
+    isSupported: () => Boolean(window.crypto && window.crypto.subtle),
+
+    getSettings: () => {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.ENCRYPTION.SETTINGS_KEY));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    isEnabled: () => Boolean(DataVault.getSettings()),
+
+    isUnlocked: () => Boolean(DataVault.key),
+
+    deriveKey: async (passphrase, salt, iterations) => {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: Utils.base64ToBytes(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    encrypt: async (value, key = DataVault.key) => {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { iv: Utils.bytesToBase64(iv), data: Utils.bytesToBase64(data) };
+    },
+
+    decrypt: async (envelope, key = DataVault.key) => {
+        if (!key) throw new Error('Data is locked');
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: Utils.base64ToBytes(envelope.iv) }, key, Utils.base64ToBytes(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    },
+
+    enable: async (passphrase) => {
+        if (passphrase.length < CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const salt = Utils.bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const iterations = CONFIG.ENCRYPTION.ITERATIONS;
+        const key = await DataVault.deriveKey(passphrase, salt, iterations);
+        const check = await DataVault.encrypt(CONFIG.ENCRYPTION.CHECK_VALUE, key);
+
+        localStorage.setItem(CONFIG.ENCRYPTION.SETTINGS_KEY, JSON.stringify({ salt, iterations, check }));
+        DataVault.setKey(key);
+    },
+
+    disable: () => {
+        localStorage.removeItem(CONFIG.ENCRYPTION.SETTINGS_KEY);
+        DataVault.setKey(null);
+    },
+
+    unlock: async (passphrase) => {
+        const settings = DataVault.getSettings();
+        const key = await DataVault.deriveKey(passphrase, settings.salt, settings.iterations);
+        try {
+            if (await DataVault.decrypt(settings.check, key) !== CONFIG.ENCRYPTION.CHECK_VALUE) {
+                throw new Error('Check value mismatch');
+            }
+        } catch (error) {
+            throw new Error('Incorrect passphrase');
+        }
+
+        DataVault.setKey(key);
+        return key;
+    },
+
+    lock: () => {
+        DataVault.key = null;
+    },
+
+    setKey: (key) => {
+        DataVault.key = key;
+        if (key) {
+            DataVault.waiting.splice(0).forEach(resolve => resolve());
+        }
+    },
+
+    // Resolves once someone unlocks the vault (immediately if it is not locked)
+    whenUnlocked: () => {
+        if (!DataVault.isEnabled() || DataVault.isUnlocked()) return Promise.resolve();
+        return new Promise(resolve => DataVault.waiting.push(resolve));
+    },
+
+    // Prompts for the passphrase if needed; resolves false when the user cancels
+    ensureUnlocked: async () => {
+        if (!DataVault.isEnabled() || DataVault.isUnlocked()) return true;
+
+        return DataVault.askPassphrase({
+            title: 'Unlock customer data',
+            message: 'Customer data on this computer is encrypted. Enter the shop passphrase to continue.',
+            onSubmit: (passphrase) => DataVault.unlock(passphrase)
+        });
+    },
+
+    // Small modal with a password field. onSubmit may throw to show an error
+    // and keep the dialog open; resolves true on success, false on cancel.
+    askPassphrase: ({ title, message, confirm = false, onSubmit }) => new Promise(resolve => {
+        const overlay = Utils.createElement('div', 'vault-overlay');
+        const dialog = Utils.createElement('form', 'vault-dialog', `
+            <h3>${title}</h3>
+            <p>${message}</p>
+            <div class="form-group">
+                <input type="password" name="passphrase" placeholder="Passphrase" autocomplete="current-password" required>
+            </div>
+            ${confirm ? `
+                <div class="form-group">
+                    <input type="password" name="confirmPassphrase" placeholder="Repeat passphrase" autocomplete="new-password" required>
+                </div>
+            ` : ''}
+            <div class="vault-error"></div>
+            <div style="display: flex; gap: 0.5rem; justify-content: flex-end;">
+                <button type="button" class="btn btn-sm btn-secondary" data-vault-cancel>Cancel</button>
+                <button type="submit" class="btn btn-sm btn-primary">Continue</button>
+            </div>
+        `);
+
+        const close = (result) => {
+            overlay.remove();
+            dialog.remove();
+            resolve(result);
+        };
+
+        dialog.querySelector('[data-vault-cancel]').addEventListener('click', () => close(false));
+        dialog.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const errorDiv = dialog.querySelector('.vault-error');
+            const passphrase = dialog.querySelector('[name="passphrase"]').value;
+
+            if (confirm && passphrase !== dialog.querySelector('[name="confirmPassphrase"]').value) {
+                Utils.showError(errorDiv, 'Passphrases do not match');
+                return;
+            }
+
+            try {
+                await onSubmit(passphrase);
+                close(true);
+            } catch (error) {
+                Utils.showError(errorDiv, Utils.escapeHtml(error.message));
+            }
+        });
+
+        document.body.appendChild(overlay);
+        document.body.appendChild(dialog);
+        dialog.querySelector('[name="passphrase"]').focus();
+    }),
+
+    // Wraps a whole export (backup or JSON file) for writing to disk
+    sealExport: async (payload) => {
+        if (!DataVault.isEnabled()) return payload;
+
+        const { salt, iterations } = DataVault.getSettings();
+        return {
+            encrypted: true,
+            version: RecordSchema.BACKUP_VERSION,
+            salt,
+            iterations,
+            payload: await DataVault.encrypt(payload)
+        };
+    },
+
+    // Opens a file written by sealExport(), asking for its passphrase when it
+    // was made with a different one than the current vault key.
+    openExport: async (sealed) => {
+        const settings = DataVault.getSettings();
+        if (DataVault.isUnlocked() && settings && settings.salt === sealed.salt) {
+            return DataVault.decrypt(sealed.payload);
+        }
+
+        let payload;
+        const unlocked = await DataVault.askPassphrase({
+            title: 'Encrypted backup',
+            message: 'This file is encrypted. Enter the passphrase it was created with.',
+            onSubmit: async (passphrase) => {
+                const key = await DataVault.deriveKey(passphrase, sealed.salt, sealed.iterations);
+                try {
+                    payload = await DataVault.decrypt(sealed.payload, key);
+                } catch (error) {
+                    throw new Error('Incorrect passphrase');
+                }
+            }
+        });
+
+        if (!unlocked) throw new Error('Import cancelled');
+        return payload;
+    }
+};
+
+// ===== STORAGE ADAPTERS =====
+// Every adapter exposes the same promise-based interface so LocalStorageManager
+// does not care where records live:
+//   open(), load(type), save(type, records), put(type, record), findByIndex(type, index, value)
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    static isSupported() {
+        try {
+            const test = '__storage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    getKey(type) {
+        return CONFIG.LOCAL_STORAGE[type.toUpperCase() + '_KEY'];
+    }
+
+    // The audit log only ever grows, so it is split over "<key>", "<key>_1",
+    // "<key>_2"... A change then rewrites just the newest chunk, and the
+    // oldest chunks are dropped once there are more than AUDIT_MAX_CHUNKS.
+    static isChunked(type) {
+        return type === 'audit';
+    }
+
+    getChunkKey(type, chunk) {
+        return chunk === 0 ? this.getKey(type) : `${this.getKey(type)}_${chunk}`;
+    }
+
+    // Chunk numbers in use, oldest first
+    getChunks(type) {
+        const key = this.getKey(type);
+        return Object.keys(localStorage)
+            .map(name => name === key ? '0' : name.startsWith(`${key}_`) ? name.slice(key.length + 1) : '')
+            .filter(chunk => /^\d+$/.test(chunk))
+            .map(Number)
+            .sort((a, b) => a - b);
+    }
+
+    loadChunk(type, chunk) {
+        const data = localStorage.getItem(this.getChunkKey(type, chunk));
+        return data ? JSON.parse(data) : [];
+    }
+
+    // Adds records after the newest chunk's, then drops the oldest chunks over the limit
+    appendChunks(type, records) {
+        const { AUDIT_CHUNK_SIZE, AUDIT_MAX_CHUNKS } = CONFIG.LOCAL_STORAGE;
+        const chunks = this.getChunks(type);
+        let chunk = chunks.length ? chunks[chunks.length - 1] : 0;
+        let entries = this.loadChunk(type, chunk);
+
+        for (const record of records) {
+            if (entries.length >= AUDIT_CHUNK_SIZE) {
+                localStorage.setItem(this.getChunkKey(type, chunk), JSON.stringify(entries));
+                if (!chunks.includes(chunk)) chunks.push(chunk);
+                chunk++;
+                entries = [];
+            }
+            entries.push(record);
+        }
+        localStorage.setItem(this.getChunkKey(type, chunk), JSON.stringify(entries));
+        if (!chunks.includes(chunk)) chunks.push(chunk);
+
+        chunks.slice(0, Math.max(0, chunks.length - AUDIT_MAX_CHUNKS))
+            .forEach(old => localStorage.removeItem(this.getChunkKey(type, old)));
+    }
+
+    async open() {
+        return this;
+    }
+
+    async load(type) {
+        if (LocalStorageAdapter.isChunked(type)) {
+            return this.getChunks(type).flatMap(chunk => this.loadChunk(type, chunk));
+        }
+        const data = localStorage.getItem(this.getKey(type));
+        return data ? JSON.parse(data) : [];
+    }
+
+    async save(type, records) {
+        if (LocalStorageAdapter.isChunked(type)) {
+            this.clear(type);
+            this.appendChunks(type, records);
+            return;
+        }
+        localStorage.setItem(this.getKey(type), JSON.stringify(records));
+    }
+
+    async put(type, record) {
+        const records = await this.load(type);
+        const index = records.findIndex(item => item.id === record.id);
+
+        if (index === -1) {
+            records.push(record);
+        } else {
+            records[index] = record;
+        }
+
+        await this.save(type, records);
+    }
+
+    async putMany(type, newRecords) {
+        // Audit entries are never replaced, only added
+        if (LocalStorageAdapter.isChunked(type)) {
+            this.appendChunks(type, newRecords);
+            return;
+        }
+
+        const ids = new Set(newRecords.map(record => record.id));
+        const records = (await this.load(type)).filter(record => !ids.has(record.id));
+        await this.save(type, [...records, ...newRecords]);
+    }
+
+    async findByIndex(type, index, value) {
+        const records = await this.load(type);
+        return records.filter(record => IndexedDBAdapter.indexValues(record)[index] === value);
+    }
+
+    clear(type) {
+        if (LocalStorageAdapter.isChunked(type)) {
+            this.getChunks(type).forEach(chunk => localStorage.removeItem(this.getChunkKey(type, chunk)));
+            return;
+        }
+        localStorage.removeItem(this.getKey(type));
+    }
+}
+
+class IndexedDBAdapter {
+    constructor() {
+        this.name = 'indexedDB';
+    }
+
+    static isSupported() {
+        return CONFIG.INDEXED_DB.ENABLED && typeof indexedDB !== 'undefined';
+    }
+
+    // Values IndexedDB cannot use as keys (null/undefined) simply leave the
+    // record out of that index.
+    static indexValues(record) {
+        return {
+            id: record.id,
+            timestamp: record.timestamp,
+            contactNumber: Utils.normalizePhone(record['Contact Number']) || null,
+            preferredDate: record['Preferred Date'] || null
+        };
+    }
+
+    // Records are wrapped so index fields can use plain key paths; form field
+    // names such as "Contact Number" are not valid IndexedDB key paths.
+    static toEntry(record) {
+        return { ...IndexedDBAdapter.indexValues(record), record };
+    }
+
+    // One connection (and one legacy migration) is shared by every adapter instance.
+    open() {
+        if (!IndexedDBAdapter.connection) {
+            IndexedDBAdapter.connection = this.connect()
+                .then(db => this.migrateFromLocalStorage(db).then(() => db))
+                .catch(error => {
+                    IndexedDBAdapter.connection = null;
+                    throw error;
+                });
+        }
+
+        return IndexedDBAdapter.connection.then(db => {
+            this.db = db;
+            return this;
+        });
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.INDEXED_DB.NAME, CONFIG.INDEXED_DB.VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                ['measurements', 'appointments', 'customers', 'outbox', 'audit', 'rejected'].forEach(type => {
+                    if (db.objectStoreNames.contains(type)) return;
+
+                    const store = db.createObjectStore(type, { keyPath: 'id' });
+                    store.createIndex('timestamp', 'timestamp');
+                    store.createIndex('contactNumber', 'contactNumber');
+                    store.createIndex('preferredDate', 'preferredDate');
+                });
+
+                // v2 changed Utils.normalizePhone, so rebuild the stored index values
+                if (event.oldVersion === 1) {
+                    ['measurements', 'appointments'].forEach(type => {
+                        request.transaction.objectStore(type).openCursor().onsuccess = (cursorEvent) => {
+                            const cursor = cursorEvent.target.result;
+                            if (!cursor) return;
+                            cursor.update(IndexedDBAdapter.toEntry(cursor.value.record));
+                            cursor.continue();
+                        };
+                    });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    }
+
+    async migrateFromLocalStorage(db) {
+        if (!LocalStorageAdapter.isSupported() ||
+            localStorage.getItem(CONFIG.LOCAL_STORAGE.MIGRATED_KEY)) {
+            return;
+        }
+
+        const legacy = new LocalStorageAdapter();
+        for (const type of ['measurements', 'appointments']) {
+            const records = await legacy.load(type);
+            if (records.length === 0) continue;
+
+            // Never overwrite a record that already made it into IndexedDB.
+            await this.transaction(db, type, 'readwrite', store => {
+                records.forEach(record => {
+                    store.add(IndexedDBAdapter.toEntry(record)).onerror = (event) => {
+                        event.preventDefault();
+                        event.stopPropagation();
+                    };
+                });
+            });
+            console.log(`Migrated ${records.length} ${type} from localStorage to IndexedDB`);
+        }
+
+        localStorage.setItem(CONFIG.LOCAL_STORAGE.MIGRATED_KEY, new Date().toISOString());
+        ['measurements', 'appointments'].forEach(type => legacy.clear(type));
+    }
+
+    transaction(db, type, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(type, mode);
+            const result = callback(tx.objectStore(type));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async load(type) {
+        const entries = await this.transaction(this.db, type, 'readonly', store => store.getAll());
+        return entries
+            .map(entry => entry.record)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    save(type, records) {
+        const ids = new Set(records.map(record => record.id));
+
+        return this.transaction(this.db, type, 'readwrite', store => {
+            store.getAllKeys().onsuccess = (event) => {
+                event.target.result
+                    .filter(id => !ids.has(id))
+                    .forEach(id => store.delete(id));
+            };
+            records.forEach(record => store.put(IndexedDBAdapter.toEntry(record)));
+        });
+    }
+
+    put(type, record) {
+        return this.transaction(this.db, type, 'readwrite', store => {
+            store.put(IndexedDBAdapter.toEntry(record));
+        });
+    }
+
+    putMany(type, records) {
+        return this.transaction(this.db, type, 'readwrite', store => {
+            records.forEach(record => store.put(IndexedDBAdapter.toEntry(record)));
+        });
+    }
+
+    async findByIndex(type, index, value) {
+        const entries = await this.transaction(this.db, type, 'readonly',
+            store => index === 'id' ? store.getAll(value) : store.index(index).getAll(value));
+        return entries.map(entry => entry.record);
+    }
+}
+
+// Encrypts records on the way into any other adapter while the vault is
+// enabled. Only id and timestamp stay readable, so the contact number and
+// preferred date indexes are empty and findByIndex filters in memory.
+class EncryptedAdapter {
+    constructor(inner) {
+        this.inner = inner;
+        this.name = inner.name;
+    }
+
+    async open() {
+        await this.inner.open();
+        return this;
+    }
+
+    async load(type) {
+        const records = await this.inner.load(type);
+        return Promise.all(records.map(record => this.unwrap(record)));
+    }
+
+    async save(type, records) {
+        await this.inner.save(type, await Promise.all(records.map(record => this.wrap(record))));
+    }
+
+    async put(type, record) {
+        await this.inner.put(type, await this.wrap(record));
+    }
+
+    async putMany(type, records) {
+        await this.inner.putMany(type, await Promise.all(records.map(record => this.wrap(record))));
+    }
+
+    async findByIndex(type, index, value) {
+        // Ids stay readable, so only other indexes need every record decrypted
+        if (index === 'id') {
+            const records = await this.inner.findByIndex(type, index, value);
+            return Promise.all(records.map(record => this.unwrap(record)));
+        }
+
+        const records = await this.load(type);
+        return records.filter(record => IndexedDBAdapter.indexValues(record)[index] === value);
+    }
+
+    async wrap(record) {
+        if (!DataVault.isEnabled()) return record;
+        if (!DataVault.isUnlocked()) throw new Error('Data is locked');
+
+        return { id: record.id, timestamp: record.timestamp, encrypted: await DataVault.encrypt(record) };
+    }
+
+    // Records written before encryption was switched on are still plain
+    async unwrap(record) {
+        return record && record.encrypted ? DataVault.decrypt(record.encrypted) : record;
+    }
+}
+
+// Thrown when another tab saved a record after this tab loaded it
+class StorageConflictError extends Error {
+    constructor(type) {
+        super(`${type} were changed in another window`);
+        this.name = 'StorageConflictError';
+    }
+}
+
+// ===== LOCAL STORAGE MANAGER =====
+// Use LocalStorageManager.getInstance() so every component on the page shares
+// one in-memory copy. Saved changes are announced with a `bandra:change`
+// window event ({ type, source: 'local' | 'remote' }); 'remote' means another
+// tab saved them and this copy has been reloaded.
+//
+// Each record carries a `revision` that goes up whenever its stored content
+// changes. A save is refused when the stored revision is not the one this tab
+// last saw, so an out-of-date tab cannot overwrite newer work.
+class LocalStorageManager {
+    constructor() {
+        this.measurements = [];
+        this.appointments = [];
+        this.customers = [];
+        this.revisions = { measurements: new Map(), appointments: new Map(), customers: new Map() };
+        this.outboxEdits = Promise.resolve();
+        // YYYY-MM-DD -> bookings on that day from the sync service (see loadDayBookings)
+        this.dayBookings = new Map();
+        this.adapter = new EncryptedAdapter(
+            IndexedDBAdapter.isSupported() ? new IndexedDBAdapter() : new LocalStorageAdapter()
+        );
+        this.init();
+        this.ready = this.openStorage();
+    }
+
+    static getInstance() {
+        if (!LocalStorageManager.instance) {
+            LocalStorageManager.instance = new LocalStorageManager();
+        }
+        return LocalStorageManager.instance;
+    }
+
+    init() {
+        // Check storage availability
+        if (!this.isStorageAvailable()) {
+            console.warn('Local storage not available');
+            return;
+        }
+        
+        // Clean up old data periodically
+        this.cleanup();
+        this.listenForOtherTabs();
+    }
+
+    isStorageAvailable() {
+        return LocalStorageAdapter.isSupported();
+    }
+
+    async openStorage() {
+        try {
+            await this.adapter.open();
+        } catch (error) {
+            // e.g. private browsing modes that refuse IndexedDB
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            this.adapter = new EncryptedAdapter(new LocalStorageAdapter());
+        }
+
+        // Nothing can be read until the shop passphrase has been entered
+        await DataVault.whenUnlocked();
+
+        // Tabs opened together would otherwise each create customers for the
+        // same unlinked records
+        const load = async () => {
+            this.measurements = await this.loadData('measurements');
+            this.appointments = await this.loadData('appointments');
+            this.customers = await this.loadData('customers');
+            await this.ensureCustomerLinks();
+        };
+
+        try {
+            await (navigator.locks ? navigator.locks.request(CONFIG.LOCAL_STORAGE.LOAD_LOCK, load) : load());
+        } catch (error) {
+            console.error('Error opening storage:', error);
+        }
+        return this;
+    }
+
+    // ===== CROSS-TAB CHANGES =====
+    listenForOtherTabs() {
+        const onChange = (message) => {
+            if (message && RecordSchema.TYPES.includes(message.type)) {
+                this.ready.then(() => this.reloadType(message.type));
+            }
+        };
+
+        if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(CONFIG.LOCAL_STORAGE.CHANGE_CHANNEL);
+            this.channel.onmessage = (event) => onChange(event.data);
+        } else {
+            // Storage events only fire in the other tabs, never the one that wrote
+            window.addEventListener('storage', (event) => {
+                if (event.key === CONFIG.LOCAL_STORAGE.CHANGE_KEY && event.newValue) {
+                    onChange(JSON.parse(event.newValue));
+                }
+            });
+        }
+    }
+
+    notifyChange(type, source = 'local') {
+        if (!RecordSchema.TYPES.includes(type)) return;
+
+        window.dispatchEvent(new CustomEvent('bandra:change', { detail: { type, source } }));
+        if (source !== 'local') return;
+
+        const message = { type, changedAt: new Date().toISOString() };
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else if (this.isStorageAvailable()) {
+            localStorage.setItem(CONFIG.LOCAL_STORAGE.CHANGE_KEY, JSON.stringify(message));
+        }
+    }
+
+    async reloadType(type) {
+        this[type] = await this.loadData(type);
+        this.notifyChange(type, 'remote');
+        return this[type];
+    }
+
+    async loadData(type) {
+        if (!RecordSchema.TYPES.includes(type)) {
+            try {
+                return await this.adapter.load(type);
+            } catch (error) {
+                console.error(`Error loading ${type}:`, error);
+                return [];
+            }
+        }
+
+        try {
+            const { records, upgraded } = RecordSchema.migrateAll(await this.adapter.load(type), type);
+            this.revisions[type] = LocalStorageManager.revisionMap(records);
+            if (upgraded > 0) {
+                console.log(`Upgraded ${upgraded} ${type} to schema v${RecordSchema.CURRENT_VERSION}`);
+                await this.saveData(type, records, { audit: false, sync: false });
+            }
+            return records;
+        } catch (error) {
+            console.error(`Error loading ${type}:`, error);
+            return [];
+        }
+    }
+
+    static revisionMap(records) {
+        return new Map(records.map(record => [record.id, record.revision || 0]));
+    }
+
+    // Replaces a whole collection and, on success, this tab's copy of it.
+    // Records another tab added in the meantime are kept (appended to data).
+    // Every difference from the stored copy goes into the audit log under
+    // `action` (create/update/delete/status when left out), and added or
+    // changed records are queued for the sync service unless { sync: false }.
+    async saveData(type, data, { action = null, audit = true, sync = true } = {}) {
+        const versioned = RecordSchema.TYPES.includes(type);
+
+        try {
+            let stored = [];
+            if (versioned) {
+                stored = await this.adapter.load(type);
+                data.push(...this.checkRevisions(type, data, stored));
+            }
+            await this.adapter.save(type, data);
+
+            if (versioned) {
+                this[type] = data;
+                this.revisions[type] = LocalStorageManager.revisionMap(data);
+                this.notifyChange(type);
+                const pairs = AuditLog.pair(stored, data);
+                if (audit) {
+                    await this.recordAudit(type, pairs, action);
+                }
+                if (sync) {
+                    await this.queueSyncMany(type, pairs
+                        .filter(({ before, after }) => after && AuditLog.diff(before, after).length > 0)
+                        .map(({ after }) => after));
+                    await this.queueDeletions(type, pairs
+                        .filter(({ before, after }) => before && !after)
+                        .map(({ before }) => before.id));
+                }
+            }
+            return true;
+        } catch (error) {
+            return this.handleSaveError(type, error);
+        }
+    }
+
+    // Throws StorageConflictError if a record we know about was changed
+    // elsewhere, bumps the revision of every record whose content we changed
+    // and returns stored records this tab has never seen.
+    checkRevisions(type, data, stored) {
+        const storedById = new Map(stored.map(record => [record.id, record]));
+        const known = this.revisions[type];
+        const ids = new Set(data.map(record => record.id));
+        const content = (record) => JSON.stringify({ ...record, revision: undefined });
+
+        if (stored.some(record => known.has(record.id) && (record.revision || 0) !== known.get(record.id))) {
+            throw new StorageConflictError(type);
+        }
+
+        data.forEach(record => {
+            const current = storedById.get(record.id);
+            if (!current) {
+                record.revision = (record.revision || 0) + 1;
+            } else if (content(current) !== content(record)) {
+                record.revision = (current.revision || 0) + 1;
+            } else {
+                record.revision = current.revision;
+            }
+        });
+
+        return stored.filter(record => !known.has(record.id) && !ids.has(record.id));
+    }
+
+    // Saves one record and puts it into this tab's copy. Changes are also
+    // queued for the sync service; records that arrived from the sync service
+    // pass { sync: false }. `action` is recorded in the audit log as for saveData.
+    async saveRecord(type, record, { sync = true, action = null } = {}) {
+        const versioned = RecordSchema.TYPES.includes(type);
+
+        try {
+            let stored = null;
+            if (versioned) {
+                [stored] = await this.adapter.findByIndex(type, 'id', record.id);
+                if (stored && (stored.revision || 0) !== this.revisions[type].get(record.id)) {
+                    throw new StorageConflictError(type);
+                }
+                record.revision = (stored ? stored.revision || 0 : 0) + 1;
+            }
+
+            await this.adapter.put(type, record);
+
+            if (versioned) {
+                const index = this[type].findIndex(item => item.id === record.id);
+                if (index === -1) {
+                    this[type].push(record);
+                } else {
+                    this[type][index] = record;
+                }
+                this.revisions[type].set(record.id, record.revision);
+                this.notifyChange(type);
+                await this.recordAudit(type, [{ before: stored || null, after: record }], action);
+            }
+            if (sync) {
+                await this.queueSync(type, record);
+            }
+            if (type === 'appointments' && action !== 'waitlist') {
+                const freedDay = Waitlist.getFreedDay(stored, record);
+                if (freedDay) await this.promoteFromWaitlist(freedDay, stored['Preferred Time']);
+            }
+            return true;
+        } catch (error) {
+            return this.handleSaveError(type, error);
+        }
+    }
+
+    // ===== AUDIT LOG =====
+    // A failed log write is reported but never undoes the change itself
+    async recordAudit(type, pairs, action) {
+        const entries = pairs
+            .map(({ before, after }) => AuditLog.entry(type, before, after, action))
+            .filter(Boolean);
+        if (entries.length === 0) return;
+
+        try {
+            await this.adapter.putMany('audit', entries);
+        } catch (error) {
+            console.error('Error writing audit log:', error);
+        }
+    }
+
+    loadAuditLog() {
+        return this.loadData('audit');
+    }
+
+    // Entries from a backup are added once; existing ones are never replaced
+    async importAuditLog(entries) {
+        const known = new Set((await this.loadAuditLog()).map(entry => entry.id));
+        const added = entries.filter(entry => !known.has(entry.id));
+        if (added.length > 0) {
+            await this.adapter.putMany('audit', added);
+        }
+        return added.length;
+    }
+
+    // ===== SYNC OUTBOX =====
+    // One outbox entry per record, so a later change replaces a pending one.
+    queueSync(type, record) {
+        return this.queueSyncMany(type, [record]);
+    }
+
+    // Only staff may delete on the service; elsewhere a deleted record's
+    // pending change is just dropped
+    async queueDeletions(type, ids) {
+        if (ids.length === 0) return;
+        await this.dropFromOutbox(type, ids);
+        if (SyncManager.getToken()) {
+            const now = new Date().toISOString();
+            await this.queueSyncMany(type, ids.map(id => RecordSchema.tombstone(id, now)));
+        }
+    }
+
+    // Without the staff token the service only takes appointments
+    async queueSyncMany(type, records) {
+        if (!SyncManager.isConfigured() || !CONFIG.SYNC.TYPES.includes(type) || records.length === 0) return;
+        if (type !== 'appointments' && !SyncManager.getToken()) return;
+
+        const now = new Date().toISOString();
+        const keys = new Set(records.map(record => `${type}:${record.id}`));
+        try {
+            await this.editOutbox(outbox => [
+                ...outbox.filter(item => !keys.has(item.id)),
+                ...records.map(record => ({
+                    id: `${type}:${record.id}`,
+                    timestamp: now,
+                    type,
+                    record,
+                    attempts: 0,
+                    nextAttemptAt: now,
+                    lastError: null
+                }))
+            ]);
+            window.dispatchEvent(new CustomEvent('bandra:outbox'));
+        } catch (error) {
+            console.error('Error queueing sync:', error);
+        }
+    }
+
+    // Outbox changes run one at a time, so a record queued while a push is
+    // being acknowledged is not overwritten. `change` maps the stored outbox
+    // to its new contents.
+    editOutbox(change) {
+        const edit = this.outboxEdits.then(async () => {
+            const outbox = await this.loadData('outbox');
+            await this.saveData('outbox', await change(outbox));
+        });
+        this.outboxEdits = edit.catch(() => {});
+        return edit;
+    }
+
+    // Outbox entries the sync service refused are set aside here instead of
+    // being retried forever; staff can send them again or discard them.
+    loadRejected() {
+        return this.loadData('rejected');
+    }
+
+    async addRejected(items) {
+        if (items.length === 0) return;
+        try {
+            await this.adapter.putMany('rejected', items);
+        } catch (error) {
+            console.error('Error saving refused changes:', error);
+        }
+    }
+
+    // Queues the latest copy of each record again (it may have changed since)
+    async retryRejected(ids) {
+        const retry = new Set(ids);
+        const rejected = await this.loadRejected();
+        const items = rejected.filter(item => retry.has(item.id));
+
+        for (const item of items) {
+            const current = (this[item.type] || []).find(record => record.id === item.record.id);
+            await this.queueSync(item.type, current || item.record);
+        }
+        return this.saveData('rejected', rejected.filter(item => !retry.has(item.id)));
+    }
+
+    async discardRejected(ids) {
+        const discard = new Set(ids);
+        return this.saveData('rejected', (await this.loadRejected()).filter(item => !discard.has(item.id)));
+    }
+
+    // Applies records pulled from the sync service. The newer updatedAt wins;
+    // when ours is newer it is queued so the service catches up. Tombstones
+    // remove our copy unless it was changed after the deletion.
+    async applyRemoteChanges(changes) {
+        for (const type of ['measurements', 'appointments', 'customers']) {
+            this[type] = await this.loadData(type);
+        }
+
+        const incoming = {};
+        const deletions = {};
+        ['measurements', 'appointments', 'customers'].forEach(type => {
+            const records = changes[type] || [];
+            deletions[type] = records.filter(RecordSchema.isTombstone);
+            incoming[type] = RecordSchema.migrateAll(records.filter(record => !RecordSchema.isTombstone(record)), type).records
+                .filter(record => RecordSchema.isValid(type, record));
+        });
+
+        const result = { applied: 0, conflicts: 0 };
+        const customerIdMap = this.mergeImportedCustomers(incoming.customers);
+        await this.saveData('customers', this.customers, { action: 'sync', sync: false });
+
+        for (const type of ['measurements', 'appointments']) {
+            for (const remote of incoming[type]) {
+                const record = customerIdMap.has(remote.customerId)
+                    ? { ...remote, customerId: customerIdMap.get(remote.customerId) }
+                    : remote;
+                const local = this[type].find(item => item.id === record.id);
+                const localTime = local ? new Date(local.updatedAt || local.timestamp) : null;
+                const remoteTime = new Date(record.updatedAt || record.timestamp);
+
+                if (!local || remoteTime > localTime) {
+                    if (await this.saveRecord(type, record, { sync: false, action: 'sync' })) {
+                        result.applied++;
+                    }
+                } else if (localTime > remoteTime) {
+                    result.conflicts++;
+                    await this.queueSync(type, local);
+                }
+            }
+        }
+
+        for (const type of ['measurements', 'appointments', 'customers']) {
+            const remove = new Set();
+            for (const tombstone of deletions[type]) {
+                const local = this[type].find(item => item.id === tombstone.id);
+                if (!local) continue;
+                if (new Date(local.updatedAt || local.timestamp) > new Date(tombstone.updatedAt)) {
+                    result.conflicts++;
+                    await this.queueSync(type, local);
+                } else {
+                    remove.add(local.id);
+                }
+            }
+            if (remove.size > 0 && await this.saveData(type, this[type].filter(record => !remove.has(record.id)),
+                { action: 'sync', sync: false })) {
+                await this.dropFromOutbox(type, Array.from(remove));
+                result.applied += remove.size;
+            }
+        }
+
+        await this.ensureCustomerLinks();
+        return result;
+    }
+
+    async handleSaveError(type, error) {
+        console.error(`Error saving ${type}:`, error);
+        
+        // Handle quota exceeded error
+        if (error.name === 'QuotaExceededError') {
+            alert('Storage limit exceeded. Please export old data to free up space.');
+        }
+
+        // Show the newer data instead of overwriting it
+        if (error.name === 'StorageConflictError') {
+            await this.reloadType(type);
+            alert('This data was changed in another window. The latest version has been loaded, please check it and try again.');
+        }
+        
+        return false;
+    }
+
+    // Rewrites every stored record so it matches the vault's new state
+    async enableEncryption(passphrase) {
+        await DataVault.enable(passphrase);
+        return this.rewriteAll();
+    }
+
+    // The key stays set while rewriting so the stored copies can still be read
+    async disableEncryption() {
+        const settings = DataVault.getSettings();
+        localStorage.removeItem(CONFIG.ENCRYPTION.SETTINGS_KEY);
+
+        const success = await this.rewriteAll();
+        if (success) {
+            DataVault.disable();
+        } else {
+            localStorage.setItem(CONFIG.ENCRYPTION.SETTINGS_KEY, JSON.stringify(settings));
+        }
+        return success;
+    }
+
+    async rewriteAll() {
+        for (const type of ['measurements', 'appointments', 'customers']) {
+            if (!await this.saveData(type, this[type])) return false;
+        }
+
+        // The audit log and the sync queues hold the same customer details
+        try {
+            for (const type of ['audit', 'outbox', 'rejected']) {
+                await this.adapter.save(type, await this.adapter.load(type));
+            }
+            return true;
+        } catch (error) {
+            console.error('Error rewriting audit log and sync queues:', error);
+            return false;
+        }
+    }
+
+    findByContact(type, phone) {
+        return this.adapter.findByIndex(type, 'contactNumber', Utils.normalizePhone(phone));
+    }
+
+    async addMeasurement(measurementData) {
+        const customer = await this.resolveCustomer(measurementData);
+        const measurement = RecordSchema.create({
+            ...MeasurementUnits.toStored(measurementData),
+            customerId: customer.id,
+            ...StatusWorkflow.initialFields('measurements')
+        }, 'measurements');
+        
+        const success = await this.saveRecord('measurements', measurement);
+        
+        if (success) {
+            this.exportToFile('measurements', measurement);
+        }
+        
+        return { success, data: measurement };
+    }
+
+    // A customer's browser holds only their own bookings, so while the sync
+    // service is set up the day's bookings from every device are fetched
+    // before a time is taken, and counted with ours.
+    async loadDayBookings(day) {
+        const ours = this.appointments.filter(appointment => appointment['Preferred Date'] === day);
+        const bookings = await SyncManager.fetchDayBookings(day, ours.map(appointment => appointment.id));
+        if (bookings) this.dayBookings.set(day, bookings);
+        return this.getDayBookings(day);
+    }
+
+    // Our appointments plus the last fetched bookings on `day`, which leave out ours
+    getDayBookings(day) {
+        return [...this.appointments, ...(this.dayBookings.get(day) || [])];
+    }
+
+    async addAppointment(appointmentData) {
+        // Check against the stored bookings, which may include other tabs' latest
+        this.appointments = await this.loadData('appointments');
+        if (!BookingSlots.isAvailable(appointmentData['Preferred Date'], appointmentData['Preferred Time'],
+            appointmentData['Service Type'], await this.loadDayBookings(appointmentData['Preferred Date']))) {
+            const closedReason = BookingSlots.getClosedReason(appointmentData['Preferred Date'],
+                appointmentData['Preferred Time'], BookingSlots.getDuration(appointmentData['Service Type']));
+            return { success: false, data: null, error: new SlotUnavailableError(closedReason) };
+        }
+
+        const customer = await this.resolveCustomer(appointmentData);
+        const latestSet = this.getMeasurementHistory(customer.id).pop();
+        const appointment = RecordSchema.create({
+            ...appointmentData,
+            duration: BookingSlots.getDuration(appointmentData['Service Type']),
+            customerId: customer.id,
+            measurementId: latestSet ? latestSet.record.id : null,
+            ...StatusWorkflow.initialFields('appointments'),
+            reminderSent: {}
+        }, 'appointments');
+        
+        const success = await this.saveRecord('appointments', appointment);
+        
+        if (success) {
+            this.exportToFile('appointments', appointment);
+        }
+        
+        return { success, data: appointment };
+    }
+
+    // ===== CUSTOMERS =====
+    // Customers are matched by normalized phone number. A customer may own
+    // several numbers after a manual merge; other names used with the same
+    // number are kept as aliases. Records without a number (mostly legacy
+    // imports) are matched by name instead.
+    findCustomerByPhone(phone) {
+        const normalized = Utils.normalizePhone(phone);
+        if (!normalized) return null;
+        return this.customers.find(customer => customer.phones.includes(normalized)) || null;
+    }
+
+    // Prefers a customer who has no number either, then the only customer
+    // known by that name; several customers sharing it is not a match
+    findCustomerByName(name) {
+        const normalized = Utils.normalizeName(name);
+        if (!normalized) return null;
+        const matches = this.customers.filter(customer =>
+            [customer.Name, ...customer.aliases].some(known => Utils.normalizeName(known) === normalized));
+        return matches.find(customer => customer.phones.length === 0) ||
+            (matches.length === 1 ? matches[0] : null);
+    }
+
+    getCustomer(id) {
+        return this.customers.find(customer => customer.id === id) || null;
+    }
+
+    async resolveCustomer(fields, persist = true) {
+        const phone = Utils.normalizePhone(fields['Contact Number']);
+        let customer = phone ? this.findCustomerByPhone(phone) : this.findCustomerByName(fields.Name);
+
+        if (!customer) {
+            customer = LocalStorageManager.createCustomer(fields);
+            if (fields.timestamp) customer.timestamp = fields.timestamp;
+            this.customers.push(customer);
+        } else {
+            const updated = this.withCustomerDetails(customer, fields);
+            if (updated === customer) return customer;
+            customer = updated;
+            this.customers[this.customers.findIndex(item => item.id === customer.id)] = customer;
+        }
+
+        if (persist) {
+            await this.saveRecord('customers', customer);
+        }
+        return customer;
+    }
+
+    static createCustomer(fields) {
+        const phone = Utils.normalizePhone(fields['Contact Number']);
+        return RecordSchema.create({
+            Name: fields.Name,
+            'Contact Number': fields['Contact Number'] || '',
+            Email: fields.Email || '',
+            phones: phone ? [phone] : [],
+            aliases: []
+        }, 'customers');
+    }
+
+    withCustomerDetails(customer, fields) {
+        const name = Utils.normalizeName(fields.Name);
+        const knownNames = [customer.Name, ...customer.aliases].map(Utils.normalizeName);
+        const newAlias = name && !knownNames.includes(name);
+        const newEmail = fields.Email && !customer.Email;
+
+        if (!newAlias && !newEmail) return customer;
+
+        return {
+            ...customer,
+            aliases: newAlias ? [...customer.aliases, fields.Name.trim()] : customer.aliases,
+            Email: newEmail ? fields.Email : customer.Email,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Links records saved before customers existed (or imported from elsewhere).
+    // A booking a customer looked up (see BookingManager.findBooking) is the
+    // service's copy: it keeps the shop's customerId, and no customer is made
+    // up for it here, even when it is moved.
+    async ensureCustomerLinks() {
+        const customerIds = new Set(this.customers.map(customer => customer.id));
+        let customersChanged = false;
+
+        for (const type of ['measurements', 'appointments']) {
+            let changed = false;
+            const records = [];
+
+            for (const record of this[type]) {
+                if (record.lookedUp || (record.customerId && customerIds.has(record.customerId))) {
+                    records.push(record);
+                    continue;
+                }
+
+                const customer = await this.resolveCustomer(record, false);
+                customerIds.add(customer.id);
+                records.push({ ...record, customerId: customer.id });
+                changed = customersChanged = true;
+            }
+
+            if (changed) {
+                await this.saveData(type, records, { action: 'link' });
+            }
+        }
+
+        if (customersChanged) {
+            await this.saveData('customers', this.customers, { action: 'link' });
+        }
+    }
+
+    getCustomerProfile(id) {
+        const customer = this.getCustomer(id);
+        if (!customer) return null;
+
+        const byDate = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+        const measurements = this.measurements.filter(record => record.customerId === id).sort(byDate);
+        const appointments = this.appointments.filter(record => record.customerId === id).sort(byDate);
+        const lastActivity = [...measurements, ...appointments].map(record => record.timestamp).sort().pop()
+            || customer.timestamp;
+
+        return { customer, measurements, appointments, lastActivity };
+    }
+
+    getCustomerProfiles() {
+        return this.customers
+            .map(customer => this.getCustomerProfile(customer.id))
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+    }
+
+    // Different numbers under the same name or email are probably one person
+    getMergeSuggestions() {
+        const groups = new Map();
+
+        this.customers.forEach(customer => {
+            const keys = new Set([Utils.normalizeName(customer.Name)]);
+            if (customer.Email) keys.add(customer.Email.trim().toLowerCase());
+
+            keys.forEach(key => {
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(customer);
+            });
+        });
+
+        const seen = new Set();
+        return Array.from(groups.values())
+            .filter(group => group.length > 1)
+            .filter(group => {
+                const signature = group.map(customer => customer.id).sort().join('|');
+                if (seen.has(signature)) return false;
+                seen.add(signature);
+                return true;
+            });
+    }
+
+    async mergeCustomers(targetId, sourceId) {
+        const target = this.getCustomer(targetId);
+        const source = this.getCustomer(sourceId);
+        if (!target || !source || targetId === sourceId) {
+            return { success: false, error: new Error('Choose two different customers to merge') };
+        }
+
+        const knownNames = new Set([target.Name, ...target.aliases].map(Utils.normalizeName));
+        const merged = {
+            ...target,
+            phones: Array.from(new Set([...target.phones, ...source.phones])),
+            aliases: [...target.aliases, ...[source.Name, ...source.aliases]
+                .filter(name => !knownNames.has(Utils.normalizeName(name)))],
+            Email: target.Email || source.Email,
+            timestamp: new Date(source.timestamp) < new Date(target.timestamp) ? source.timestamp : target.timestamp,
+            updatedAt: new Date().toISOString()
+        };
+
+        for (const type of ['measurements', 'appointments']) {
+            const records = this[type].map(record => record.customerId === sourceId
+                ? { ...record, customerId: targetId, updatedAt: merged.updatedAt }
+                : record);
+            if (!await this.saveData(type, records, { action: 'merge' })) {
+                return { success: false, error: new Error(`Failed to move ${type}`) };
+            }
+        }
+
+        const customers = this.customers
+            .filter(customer => customer.id !== sourceId)
+            .map(customer => customer.id === targetId ? merged : customer);
+        const success = await this.saveData('customers', customers, { action: 'merge' });
+
+        return { success, data: merged, error: success ? null : new Error('Failed to save customers') };
+    }
+
+    // Measurement sets of one customer, oldest first, each compared with the one before
+    getMeasurementHistory(customerId) {
+        const sets = this.measurements
+            .filter(record => record.customerId === customerId)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        return sets.map((record, index) => ({
+            record,
+            version: index + 1,
+            changes: index > 0 ? MeasurementHistory.getChanges(sets[index - 1], record) : [],
+            usedBy: this.appointments.filter(appointment => appointment.measurementId === record.id)
+        }));
+    }
+
+    async linkMeasurementSet(appointmentId, measurementId) {
+        const index = this.appointments.findIndex(record => record.id === appointmentId);
+        if (index === -1) {
+            return { success: false, error: new Error('Appointment not found') };
+        }
+
+        const updated = {
+            ...this.appointments[index],
+            measurementId: measurementId || null,
+            updatedAt: new Date().toISOString()
+        };
+        const success = await this.saveRecord('appointments', updated);
+
+        return { success, data: updated, error: success ? null : new Error('Failed to save appointment') };
+    }
+
+    async updateStatus(type, id, status, note = '', { action = null } = {}) {
+        const index = this[type].findIndex(record => record.id === id);
+        if (index === -1) {
+            return { success: false, error: new Error('Record not found') };
+        }
+
+        let updated;
+        try {
+            updated = StatusWorkflow.transition(type, this[type][index], status, note);
+        } catch (error) {
+            return { success: false, error };
+        }
+
+        const success = await this.saveRecord(type, updated, { action });
+
+        return { success, data: updated, error: success ? null : new Error('Failed to save status') };
+    }
+
+    // A booking by its reference code and the phone number it was made with
+    findBooking(reference, phone) {
+        const code = RecordSchema.normalizeReference(reference, 'appointments');
+        const digits = Utils.normalizePhone(phone);
+        return this.appointments.find(record => record.reference === code
+            && Utils.normalizePhone(record['Contact Number']) === digits) || null;
+    }
+
+    async markReminderSent(id, leadKey) {
+        const current = this.appointments.find(record => record.id === id);
+        if (!current) {
+            return { success: false, error: new Error('Record not found') };
+        }
+
+        const sentAt = new Date().toISOString();
+        const updated = {
+            ...current,
+            reminderSent: { ...current.reminderSent, [leadKey]: sentAt },
+            updatedAt: sentAt
+        };
+        const success = await this.saveRecord('appointments', updated, { action: 'reminder' });
+
+        return { success, data: updated, error: success ? null : new Error('Failed to save reminder') };
+    }
+
+    // Records whose current status does not allow the move are skipped
+    async updateStatusMany(type, ids, status) {
+        const result = { updated: [], skipped: [] };
+        for (const id of ids) {
+            const { success } = await this.updateStatus(type, id, status);
+            (success ? result.updated : result.skipped).push(id);
+        }
+        return result;
+    }
+
+    // ===== WAITLIST =====
+    // Only for dates that are full for the service; other dates are kept
+    // when they are still to come and open
+    async addToWaitlist(entryData) {
+        this.appointments = await this.loadData('appointments');
+        const day = entryData['Preferred Date'];
+        if (!BookingSlots.isFull(day, entryData['Service Type'], await this.loadDayBookings(day))) {
+            return { success: false, data: null, error: new Error('This date has free times again. Please choose a time.') };
+        }
+
+        const today = Utils.toShopDate(new Date());
+        const alternatives = Array.from(new Set(entryData['Alternative Dates'] || []))
+            .filter(date => date !== day && date >= today && BookingSlots.getHours(date))
+            .slice(0, CONFIG.WAITLIST.MAX_ALTERNATIVES)
+            .sort();
+
+        const customer = await this.resolveCustomer(entryData);
+        const latestSet = this.getMeasurementHistory(customer.id).pop();
+        const entry = RecordSchema.create({
+            ...entryData,
+            'Preferred Time': '',
+            'Alternative Dates': alternatives,
+            customerId: customer.id,
+            measurementId: latestSet ? latestSet.record.id : null,
+            ...StatusWorkflow.initialFields('appointments', 'waitlisted'),
+            reminderSent: {}
+        }, 'appointments');
+
+        const success = await this.saveRecord('appointments', entry);
+
+        if (success) {
+            this.exportToFile('appointments', entry);
+        }
+
+        return { success, data: entry };
+    }
+
+    // Books the entry into `day`, at `preferredTime` when that is free for
+    // its service or else the first free time. Returns null when nothing is free.
+    async promoteWaitlistEntry(entry, day, preferredTime = '') {
+        const slots = BookingSlots.getSlots(day, entry['Service Type'], this.appointments, { excludeId: entry.id })
+            .filter(slot => slot.free > 0);
+        if (slots.length === 0) return null;
+
+        const time = slots.some(slot => slot.time === preferredTime) ? preferredTime : slots[0].time;
+        const promoted = {
+            ...StatusWorkflow.transition('appointments', entry, 'pending', 'Moved up from the waitlist'),
+            'Preferred Date': day,
+            'Preferred Time': time,
+            duration: BookingSlots.getDuration(entry['Service Type']),
+            reminderSent: {},
+            waitlistPromotedAt: new Date().toISOString()
+        };
+        return await this.saveRecord('appointments', promoted, { action: 'waitlist' }) ? promoted : null;
+    }
+
+    // Gives a freed place on `day` to the longest-waiting customer who can use it
+    async promoteFromWaitlist(day, preferredTime = '') {
+        if (day < Utils.toShopDate(new Date())) return null;
+
+        for (const entry of Waitlist.getWaiting(this.appointments)) {
+            if (!Waitlist.getDates(entry).includes(day)) continue;
+            const promoted = await this.promoteWaitlistEntry(entry, day, preferredTime);
+            if (promoted) return promoted;
+        }
+        return null;
+    }
+
+    // Staff offering a place by hand: the first of the customer's dates with a free time
+    async offerWaitlistPlace(id) {
+        const entry = this.appointments.find(record => record.id === id && Waitlist.isWaiting(record));
+        if (!entry) {
+            return { success: false, error: new Error('Waitlist entry not found') };
+        }
+
+        const today = Utils.toShopDate(new Date());
+        for (const day of Waitlist.getDates(entry).filter(date => date >= today)) {
+            const promoted = await this.promoteWaitlistEntry(entry, day);
+            if (promoted) return { success: true, data: promoted, error: null };
+        }
+        return { success: false, error: new Error('None of their dates has a free time yet') };
+    }
+
+    async markWaitlistNotified(id) {
+        const current = this.appointments.find(record => record.id === id);
+        if (!current) {
+            return { success: false, error: new Error('Record not found') };
+        }
+
+        const notifiedAt = new Date().toISOString();
+        const updated = { ...current, waitlistNotifiedAt: notifiedAt, updatedAt: notifiedAt };
+        const success = await this.saveRecord('appointments', updated);
+
+        return { success, data: updated, error: success ? null : new Error('Failed to save appointment') };
+    }
+
+    // ===== RECORD MANAGEMENT =====
+    // A corrected phone number can move the record to another customer
+    async updateRecord(type, id, fields, { action = null } = {}) {
+        const current = this[type].find(record => record.id === id);
+        if (!current) {
+            return { success: false, error: new Error('Record not found') };
+        }
+
+        let updated = { ...current, ...(type === 'measurements' ? MeasurementUnits.toStored(fields, current) : fields) };
+        if (type === 'appointments') {
+            const moved = ['Preferred Date', 'Preferred Time', 'Service Type']
+                .some(field => updated[field] !== current[field]);
+            if (moved && updated['Preferred Time']) {
+                if (!BookingSlots.isAvailable(updated['Preferred Date'], updated['Preferred Time'],
+                    updated['Service Type'], await this.loadDayBookings(updated['Preferred Date']), { excludeId: id })) {
+                    const closedReason = BookingSlots.getClosedReason(updated['Preferred Date'],
+                        updated['Preferred Time'], BookingSlots.getDuration(updated['Service Type']));
+                    return { success: false, error: new SlotUnavailableError(closedReason) };
+                }
+                updated.duration = BookingSlots.getDuration(updated['Service Type']);
+            }
+            // Reminders already sent were for the old time
+            if (['Preferred Date', 'Preferred Time'].some(field => updated[field] !== current[field])) {
+                updated.reminderSent = {};
+            }
+        }
+
+        if (!current.lookedUp) {
+            const customer = await this.resolveCustomer(updated);
+            updated.customerId = customer.id;
+        }
+        updated = { ...updated, updatedAt: new Date().toISOString() };
+        const success = await this.saveRecord(type, updated, { action });
+
+        return { success, data: updated, error: success ? null : new Error('Failed to save changes') };
+    }
+
+    // Returns the removed records so they can be put back with restoreRecords.
+    // saveData sends the service a tombstone for each (see queueDeletions).
+    async deleteRecords(type, ids) {
+        const remove = new Set(ids);
+        const removed = this[type].filter(record => remove.has(record.id));
+        if (removed.length === 0) {
+            return { success: false, error: new Error('Record not found') };
+        }
+
+        const success = await this.saveData(type, this[type].filter(record => !remove.has(record.id)));
+        if (success) {
+            if (type === 'appointments') {
+                for (const record of removed) {
+                    const freedDay = Waitlist.getFreedDay(record, null);
+                    if (freedDay) await this.promoteFromWaitlist(freedDay, record['Preferred Time']);
+                }
+            }
+        }
+
+        return { success, data: removed, error: success ? null : new Error(`Failed to delete ${type}`) };
+    }
+
+    // Restored copies count as changed now, so they outdate the tombstones
+    // their deletion sent to the sync service
+    async restoreRecords(type, records) {
+        const ids = new Set(records.map(record => record.id));
+        const updatedAt = new Date().toISOString();
+        const restored = [...this[type].filter(record => !ids.has(record.id)), ...records.map(record => ({ ...record, updatedAt }))]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        const success = await this.saveData(type, restored, { action: 'restore' });
+
+        return { success, data: records, error: success ? null : new Error(`Failed to restore ${type}`) };
+    }
+
+    async dropFromOutbox(type, ids) {
+        const keys = new Set(ids.map(id => `${type}:${id}`));
+        await this.editOutbox(outbox => outbox.filter(item => !keys.has(item.id)));
+    }
+
+    async exportToFile(type, newData) {
+        const allData = type === 'measurements' ? this.measurements : this.appointments;
+        return this.exportRecords(allData, `bandra_${type}`);
+    }
+
+    async exportRecords(records, fileName) {
+        try {
+            const dataStr = JSON.stringify(await DataVault.sealExport(records), null, 2);
+            const dataBlob = new Blob([dataStr], { type: 'application/json' });
+            
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(dataBlob);
+            link.download = `${fileName}_${new Date().toISOString().split('T')[0]}.json`;
+            link.style.display = 'none';
+            
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            setTimeout(() => URL.revokeObjectURL(link.href), 100);
+            
+            return true;
+        } catch (error) {
+            console.error('Error exporting file:', error);
+            return false;
+        }
+    }
+
+    // options: columns (default: every field present), from/to as YYYY-MM-DD
+    // compared with dateField, bom for Excel, and the unit for measurements
+    // (named in their headings, e.g. "Bust (cm)")
+    exportToCSV(type, { columns, from = '', to = '', dateField = 'timestamp', bom = CONFIG.CSV.BOM,
+        unit = MeasurementUnits.getDisplayUnit() } = {}) {
+        try {
+            const dayOf = (record) => dateField === 'timestamp'
+                ? Utils.toShopDate(record.timestamp)
+                : record[dateField];
+            const data = this[type].filter(record => !from && !to || RecordQuery.inDateRange(dayOf(record), { from, to }));
+            
+            if (data.length === 0) {
+                alert(`No ${type} data to export`);
+                return false;
+            }
+
+            if (DataVault.isEnabled() &&
+                !confirm('CSV files cannot be encrypted. Export customer data as plain text anyway?')) {
+                return false;
+            }
+
+            const fields = columns || CsvFormat.getColumns(data);
+            const heading = (column) => MeasurementSchema.isField(column) ? `${column} (${unit})` : column;
+            const rows = data.map(record => {
+                const converted = type === 'measurements' ? MeasurementUnits.inUnit(record, unit) : record;
+                return Object.fromEntries(fields.map(column => [heading(column), converted[column]]));
+            });
+            const csvContent = CsvFormat.stringify(rows, fields.map(heading), bom);
+            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8' });
+            
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `bandra_${type}_${new Date().toISOString().split('T')[0]}.csv`;
+            link.style.display = 'none';
+            
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            setTimeout(() => URL.revokeObjectURL(link.href), 100);
+            
+            return true;
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            return false;
+        }
+    }
+
+    // audience 'customer' is the single booking a customer just made
+    exportToICS(appointments = this.appointments, { fileName = 'bandra_appointments', audience = 'staff' } = {}) {
+        const datedAppointments = appointments.filter(appointment => ICalendar.event(appointment).length > 0);
+        if (datedAppointments.length === 0) {
+            alert('No appointments with a date to export');
+            return false;
+        }
+
+        if (audience === 'staff' && DataVault.isEnabled() &&
+            !confirm('Calendar files cannot be encrypted. Export customer data as plain text anyway?')) {
+            return false;
+        }
+
+        try {
+            Utils.downloadFile(ICalendar.build(datedAppointments, audience),
+                `${fileName}_${new Date().toISOString().split('T')[0]}.ics`, 'text/calendar;charset=utf-8');
+            return true;
+        } catch (error) {
+            console.error('Error exporting calendar:', error);
+            return false;
+        }
+    }
+
+    getStats() {
+        return {
+            totalMeasurements: this.measurements.length,
+            totalAppointments: this.appointments.length,
+            recentMeasurements: this.measurements.slice(-5),
+            recentAppointments: this.appointments.slice(-5),
+            lastSubmission: this.getLastSubmission()
+        };
+    }
+
+    getLastSubmission() {
+        const allSubmissions = [...this.measurements, ...this.appointments];
+        if (allSubmissions.length === 0) return null;
+        
+        return allSubmissions.sort((a, b) => 
+            new Date(b.timestamp) - new Date(a.timestamp)
+        )[0];
+    }
+
+    // query is RecordQuery syntax, either as text or already parsed
+    searchData(query, type = 'all') {
+        const parsed = typeof query === 'string' ? RecordQuery.parse(query) : query;
+        const results = {
+            measurements: [],
+            appointments: []
+        };
+
+        ['measurements', 'appointments']
+            .filter(recordType => type === 'all' || type === recordType)
+            .forEach(recordType => {
+                results[recordType] = this[recordType].filter(record =>
+                    RecordQuery.matches(recordType, record, parsed, this.getKnownNames(record)));
+            });
+
+        return results;
+    }
+
+    getKnownNames(record) {
+        const customer = this.getCustomer(record.customerId);
+        return customer ? [record.Name, customer.Name, ...customer.aliases] : [record.Name];
+    }
+
+    // ===== BACKUP IMPORT =====
+    // Accepts both the complete backup written by createBackup() and the
+    // per-type arrays written by exportToFile(). `types` lists the
+    // collections the file holds, which are all that Replace may overwrite;
+    // backups made since closures were included also list 'closures'.
+    async parseImportFile(text, fileName = '') {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The selected file is not valid JSON');
+        }
+
+        if (parsed && parsed.encrypted) {
+            parsed = await DataVault.openExport(parsed);
+        }
+
+        const incoming = { measurements: [], appointments: [], customers: [], audit: [], invalid: 0, version: null, backupDate: null,
+            types: ['measurements', 'appointments', 'customers'] };
+
+        if (Array.isArray(parsed)) {
+            const type = this.detectRecordType(parsed, fileName);
+            if (!type) {
+                throw new Error('Could not tell whether this file holds measurements or appointments');
+            }
+            incoming[type] = parsed;
+            incoming.types = [type];
+        } else if (parsed && typeof parsed === 'object' &&
+                   (Array.isArray(parsed.measurements) || Array.isArray(parsed.appointments))) {
+            if (!RecordSchema.isSupportedBackup(parsed.version)) {
+                throw new Error(`This backup (format ${parsed.version}) was made by a newer version of the site`);
+            }
+            incoming.measurements = parsed.measurements || [];
+            incoming.appointments = parsed.appointments || [];
+            incoming.customers = parsed.customers || [];
+            incoming.audit = (Array.isArray(parsed.audit) ? parsed.audit : [])
+                .filter(entry => entry && typeof entry.id === 'string' && entry.timestamp && entry.action);
+            if (Array.isArray(parsed.closures)) {
+                incoming.closures = parsed.closures.filter(closure => closure && typeof closure.id === 'string'
+                    && /^\d{4}-\d{2}-\d{2}$/.test(closure.start) && /^\d{4}-\d{2}-\d{2}$/.test(closure.end));
+                incoming.types.push('closures');
+            }
+            incoming.version = parsed.version || null;
+            incoming.backupDate = parsed.backupDate || null;
+        } else {
+            throw new Error('This file is not a Bandra Tailores backup');
+        }
+
+        ['measurements', 'appointments', 'customers'].forEach(type => {
+            const { records } = RecordSchema.migrateAll(incoming[type], type);
+            const valid = records.filter(record => RecordSchema.isValid(type, record));
+            incoming.invalid += incoming[type].length - valid.length;
+            incoming[type] = valid;
+        });
+
+        return incoming;
+    }
+
+    // ===== CSV IMPORT =====
+    static getImportFields(type) {
+        switch (type) {
+            case 'measurements':
+                return ['Name', 'Contact Number', 'Blouse Style', 'Measurement Unit', ...CONFIG.MEASUREMENTS.FIELDS,
+                    'Additional Notes', 'timestamp'];
+            case 'appointments':
+                return ['Name', 'Email', 'Contact Number', 'Service Type', 'Preferred Date', 'Preferred Time', 'Message', 'timestamp'];
+            default:
+                return ['Name', 'Contact Number', 'Email', 'timestamp'];
+        }
+    }
+
+    parseCSVFile(text) {
+        const [headers, ...rows] = CsvFormat.parse(text);
+        if (!headers || rows.length === 0) {
+            throw new Error('This CSV file has no rows below its heading line');
+        }
+        return { headers: headers.map(header => header.trim()), rows };
+    }
+
+    // mapping[i] is the field column i holds ('' skips it); measurements are
+    // in `unit`. Returns the same shape as parseImportFile so previewImport
+    // and importData can be reused.
+    recordsFromCSV(type, rows, mapping, { unit = CONFIG.MEASUREMENTS.UNIT } = {}) {
+        const incoming = { measurements: [], appointments: [], customers: [], audit: [], invalid: 0, version: null, backupDate: null,
+            types: [type], source: 'csv' };
+
+        rows.forEach(row => {
+            const fields = {};
+            mapping.forEach((field, column) => {
+                const value = Utils.sanitizeInput(row[column] || '');
+                if (field && value) fields[field] = value;
+            });
+
+            const created = fields.timestamp ? CsvFormat.parseDate(fields.timestamp) : null;
+            delete fields.timestamp;
+            if (fields['Preferred Date']) {
+                const preferred = CsvFormat.parseDate(fields['Preferred Date']);
+                fields['Preferred Date'] = preferred ? Utils.toLocalDate(preferred) : '';
+            }
+            if (fields['Preferred Time']) {
+                fields['Preferred Time'] = CsvFormat.parseTime(fields['Preferred Time']) || '';
+            }
+            if (type === 'measurements') {
+                // A Measurement Unit column says how a set was first entered, not
+                // what the file holds
+                const entered = CONFIG.MEASUREMENTS.UNITS[fields['Measurement Unit']] ? fields['Measurement Unit'] : unit;
+                Object.assign(fields, MeasurementUnits.toStored({ ...fields, 'Measurement Unit': unit }),
+                    { 'Measurement Unit': entered });
+            }
+
+            let record;
+            if (type === 'customers') {
+                record = LocalStorageManager.createCustomer(fields);
+            } else {
+                record = RecordSchema.create({ ...fields, ...StatusWorkflow.initialFields(type) }, type);
+                if (type === 'appointments') record.reminderSent = {};
+            }
+            if (created) record.timestamp = created;
+
+            if (fields.Name && RecordSchema.isValid(type, record)) {
+                incoming[type].push(record);
+            } else {
+                incoming.invalid++;
+            }
+        });
+
+        return incoming;
+    }
+
+    detectRecordType(records, fileName) {
+        if (/measurements/i.test(fileName)) return 'measurements';
+        if (/appointments/i.test(fileName)) return 'appointments';
+
+        const sample = records.find(record => record && typeof record === 'object');
+        if (!sample) return null;
+        if ('Bust' in sample || 'Waist' in sample) return 'measurements';
+        if ('Preferred Date' in sample || 'Service Type' in sample) return 'appointments';
+        return null;
+    }
+
+    previewImport(incoming) {
+        const preview = {};
+
+        ['measurements', 'appointments', 'customers'].forEach(type => {
+            const existing = new Map(this[type].map(record => [record.id, record]));
+            const result = { added: [], changed: [], duplicates: [] };
+
+            incoming[type].forEach(record => {
+                // Customers are also matched by phone number when imported
+                const current = existing.get(record.id) || (type === 'customers'
+                    ? record.phones.map(phone => this.findCustomerByPhone(phone)).find(Boolean)
+                    : undefined);
+                if (!current) {
+                    result.added.push(record);
+                } else if (JSON.stringify(current) === JSON.stringify(record)) {
+                    result.duplicates.push(record);
+                } else {
+                    result.changed.push(record);
+                }
+            });
+
+            preview[type] = result;
+        });
+
+        return preview;
+    }
+
+    // Replace only overwrites the collections listed in incoming.types; the
+    // others are merged as usual (a per-type file has nothing to merge).
+    async importData(incoming, mode = 'merge') {
+        const results = {};
+        const replaces = (type) => mode === 'replace' && incoming.types.includes(type);
+        const customerIdMap = replaces('customers') ? new Map() : this.mergeImportedCustomers(incoming.customers);
+
+        for (const type of ['measurements', 'appointments']) {
+            let records = incoming[type].map(record => customerIdMap.has(record.customerId)
+                ? { ...record, customerId: customerIdMap.get(record.customerId) }
+                : record);
+
+            if (!replaces(type)) {
+                const merged = new Map(this[type].map(record => [record.id, record]));
+                records.forEach(record => merged.set(record.id, record));
+                records = Array.from(merged.values());
+            }
+
+            records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            results[type] = await this.saveData(type, records, { action: 'import' });
+        }
+
+        if (replaces('customers')) {
+            this.customers = [...incoming.customers];
+        }
+        results.customers = await this.saveData('customers', this.customers, { action: 'import' });
+        await this.ensureCustomerLinks();
+        if (incoming.types.includes('closures')) {
+            const closures = replaces('closures') ? incoming.closures : Closures.merge(incoming.closures);
+            if (JSON.stringify(closures) !== JSON.stringify(Closures.getStored())) {
+                Closures.save(closures);
+            }
+        }
+        // The log is append-only, so even Replace All keeps the existing entries
+        await this.importAuditLog(incoming.audit || []);
+
+        return { success: results.measurements && results.appointments && results.customers };
+    }
+
+    // Folds imported customers into ours by id or phone number and returns
+    // a map of imported customer ids that now point at an existing customer.
+    mergeImportedCustomers(customers) {
+        const idMap = new Map();
+
+        customers.forEach(incoming => {
+            const existing = this.getCustomer(incoming.id) ||
+                incoming.phones.map(phone => this.findCustomerByPhone(phone)).find(Boolean);
+
+            if (!existing) {
+                this.customers.push(incoming);
+                return;
+            }
+
+            if (existing.id !== incoming.id) {
+                idMap.set(incoming.id, existing.id);
+            }
+            const index = this.customers.indexOf(existing);
+            // A different name or a missing email is kept as with form submissions
+            this.customers[index] = this.withCustomerDetails({
+                ...existing,
+                phones: Array.from(new Set([...existing.phones, ...incoming.phones])),
+                aliases: Array.from(new Set([...existing.aliases, ...incoming.aliases]))
+            }, incoming);
+        });
+
+        return idMap;
+    }
+
+    cleanup() {
+        // Remove old auto-save data
+        const keys = Object.keys(localStorage);
+        const autoSaveKeys = keys.filter(key => 
+            key.startsWith(CONFIG.LOCAL_STORAGE.AUTO_SAVE_PREFIX)
+        );
+        
+        autoSaveKeys.forEach(key => {
+            const timestamp = localStorage.getItem(key + '_timestamp');
+            if (timestamp) {
+                const age = Date.now() - parseInt(timestamp);
+                if (age > 24 * 60 * 60 * 1000) { // 24 hours
+                    localStorage.removeItem(key);
+                    localStorage.removeItem(key + '_timestamp');
+                }
+            }
+        });
+    }
+}
+
+// ===== FORM VALIDATION =====
+class FormValidator {
+    constructor(form) {
+        this.form = form;
+        this.errors = new Map();
+        // Unusual but possible measurements: name -> message
+        this.warnings = new Map();
+        this.init();
+    }
+
+    // Read on each use: some fields are added later, e.g. for a blouse style
+    get fields() {
+        return this.form.querySelectorAll('input[required], select[required], textarea[required]');
+    }
+
+    init() {
+        const validateLater = Utils.debounce(field => this.validateChange(field), 300);
+        this.form.addEventListener('focusout', (event) => {
+            if (event.target.required) this.validateChange(event.target);
+        });
+        this.form.addEventListener('input', (event) => {
+            if (event.target.required) validateLater(event.target);
+        });
+    }
+
+    // A measurement can change what the checks comparing it say about the others
+    validateChange(field) {
+        this.validateField(field);
+        if (!MeasurementSchema.isField(field.name)) return;
+        Array.from(this.fields)
+            .filter(other => other !== field && other.value && MeasurementSchema.isField(other.name))
+            .forEach(other => this.validateField(other));
+    }
+
+    validateField(field) {
+        const value = field.value.trim();
+        const name = field.name;
+        let isValid = true;
+        let errorMessage = '';
+        let warningMessage = '';
+
+        // Remove existing status classes
+        field.classList.remove('valid', 'invalid', 'warning');
+        this.removeFieldError(field);
+        this.warnings.delete(name);
 
         // Required field validation
         if (!value && field.hasAttribute('required')) {
@@ -379,9 +4320,14 @@ class FormValidator {
                     }
                     break;
                 case 'Preferred Date':
+                    // A booking being edited may keep the date it was saved with
+                    if (value === field.defaultValue) break;
                     if (!Utils.validateDate(value)) {
                         isValid = false;
                         errorMessage = 'Please select a future date';
+                    } else if (!BookingSlots.getHours(value)) {
+                        isValid = false;
+                        errorMessage = `We are closed on this day (${Utils.escapeHtml(BookingSlots.getClosedReason(value))}), please choose another date`;
                     }
                     break;
                 case 'Service Type':
@@ -389,721 +4335,3895 @@ class FormValidator {
                         isValid = false;
                         errorMessage = 'Please select a service type';
                     }
-                    break;
-                case 'Bust':
-                case 'Waist':
-                case 'Shoulder Width':
-                case 'Sleeve Length':
-                    if (isNaN(value) || value <= 0) {
-                        isValid = false;
-                        errorMessage = 'Please enter a valid measurement';
+                    break;
+                case 'Blouse Style':
+                    if (!CONFIG.MEASUREMENTS.STYLES[value]) {
+                        isValid = false;
+                        errorMessage = 'Please select a blouse style';
+                    }
+                    break;
+                default: {
+                    if (!MeasurementSchema.isField(name)) break;
+                    if (isNaN(value) || value <= 0) {
+                        isValid = false;
+                        errorMessage = 'Please enter a valid measurement';
+                        break;
+                    }
+                    const issues = this.getMeasurementIssues(name);
+                    const error = issues.find(issue => issue.level === 'error');
+                    if (error) {
+                        isValid = false;
+                        errorMessage = error.message;
+                    } else {
+                        warningMessage = issues.map(issue => issue.message).join(' ');
+                    }
+                    break;
+                }
+            }
+        }
+
+        // Apply visual feedback
+        if (isValid && warningMessage) {
+            field.classList.add('warning');
+            this.warnings.set(name, warningMessage);
+            this.showFieldWarning(field, warningMessage);
+        } else if (isValid && value) {
+            field.classList.add('valid');
+        } else if (!isValid) {
+            field.classList.add('invalid');
+            this.showFieldError(field, errorMessage);
+        }
+
+        this.errors.set(name, { isValid, errorMessage });
+        return isValid;
+    }
+
+    showFieldError(field, message) {
+        this.removeFieldError(field);
+        
+        const errorDiv = Utils.createElement('div', 'field-error-message', message);
+        field.parentNode.appendChild(errorDiv);
+    }
+
+    showFieldWarning(field, message) {
+        const warningDiv = Utils.createElement('div', 'field-warning-message', message);
+        field.parentNode.appendChild(warningDiv);
+    }
+
+    removeFieldError(field) {
+        field.parentNode.querySelectorAll('.field-error-message, .field-warning-message')
+            .forEach(message => message.remove());
+    }
+
+    // Range and consistency checks need the whole set, in the stored unit
+    getMeasurementIssues(name) {
+        const fields = FormSubmission.collectFields(this.form);
+        return MeasurementChecks.check(MeasurementUnits.toStored(fields), MeasurementUnits.getEnteredUnit(fields))
+            .filter(issue => issue.field === name);
+    }
+
+    getFieldLabel(name) {
+        const labels = {
+            'Name': 'Name',
+            'Email': 'Email address',
+            'Contact Number': 'Phone number',
+            'Preferred Date': 'Preferred date',
+            'Preferred Time': 'Preferred time',
+            'Service Type': 'Service type',
+            'Blouse Style': 'Blouse style'
+        };
+        return labels[name] || name;
+    }
+
+    validateAll() {
+        let allValid = true;
+        this.fields.forEach(field => {
+            if (!this.validateField(field)) {
+                allValid = false;
+            }
+        });
+        return allValid;
+    }
+
+    getErrors() {
+        return Array.from(this.errors.entries()).filter(([, error]) => !error.isValid);
+    }
+
+    getWarnings() {
+        return Array.from(this.warnings.entries());
+    }
+}
+
+// ===== FORM SUBMISSION =====
+class FormSubmission {
+    constructor(formId, formType, syncManager = null) {
+        this.form = document.getElementById(formId);
+        this.formType = formType;
+        this.storage = LocalStorageManager.getInstance();
+        this.syncManager = syncManager;
+        this.sending = new Set();
+        this.statusDiv = this.form.querySelector('.form-status');
+        this.submitBtn = this.form.querySelector('button[type="submit"]');
+        this.validator = new FormValidator(this.form);
+        this.autoSave = new AutoSave(this.form, formType);
+        this.slotPicker = formType === 'appointment' ? new SlotPicker(this.form) : null;
+        this.measurementFields = formType === 'measurement'
+            ? new MeasurementFields(this.form, {
+                guide: document.querySelector('#measurement .measurement-steps'),
+                diagram: document.querySelector('#measurement .measurement-diagram')
+            })
+            : null;
+        this.init();
+    }
+
+    init() {
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        this.autoSave.loadSavedData();
+
+        if (this.formType === 'appointment') {
+            window.addEventListener('bandra:rejected', (event) => this.showRejectedBookings(event.detail.items));
+            this.storage.ready
+                .then(() => this.storage.loadRejected())
+                .then(items => this.showRejectedBookings(items));
+        }
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        if (!this.validator.validateAll()) {
+            const errors = this.validator.getErrors();
+            if (errors.length > 0) {
+                const firstError = errors[0];
+                const field = this.form.querySelector(`[name="${firstError[0]}"]`);
+                field.focus();
+                Utils.showError(this.statusDiv, 'Please fix the errors above');
+            }
+            return;
+        }
+
+        const warnings = this.validator.getWarnings();
+        if (warnings.length > 0 && !this.confirmWarnings(warnings)) {
+            return;
+        }
+
+        this.setLoadingState(true);
+        Utils.clearMessage(this.statusDiv);
+
+        try {
+            const formData = this.collectFormData();
+            if (!await DataVault.ensureUnlocked()) {
+                throw new Error('Customer data is locked');
+            }
+            await this.storage.ready;
+            let result;
+            if (this.formType === 'measurement') {
+                result = await this.storage.addMeasurement(formData);
+            } else if (this.slotPicker.full) {
+                result = await this.storage.addToWaitlist({
+                    ...formData,
+                    'Alternative Dates': this.slotPicker.getAlternativeDates()
+                });
+            } else {
+                result = await this.storage.addAppointment(formData);
+            }
+            if (result.success && this.formType === 'appointment') {
+                result = await this.deliver(result.data);
+            }
+
+            if (result.success) {
+                this.handleSuccess(result.data, result.queued);
+                this.autoSave.clearSavedData();
+            } else {
+                throw result.error || new Error('Failed to save data');
+            }
+        } catch (error) {
+            this.handleError(error);
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
+    // Where bookings go to the shop's sync service, the customer is only told
+    // they are booked once the service has taken it. One it turns down is
+    // removed again, keeping the form filled in to choose another time.
+    async deliver(record) {
+        if (!this.syncManager || !SyncManager.isConfigured()) {
+            return { success: true, data: record };
+        }
+
+        this.sending.add(record.id);
+        try {
+            const outcome = await this.syncManager.deliver('appointments', record);
+            if (outcome.status === 'rejected') {
+                await this.storage.deleteRecords('appointments', [record.id]);
+                await this.storage.discardRejected([`appointments:${record.id}`]);
+                return { success: false, error: new BookingRejectedError(outcome.reason) };
+            }
+            return { success: true, data: record, queued: outcome.status === 'queued' };
+        } finally {
+            this.sending.delete(record.id);
+        }
+    }
+
+    // Bookings sent later, once the phone was back online, can still be
+    // turned down. Customers hear about it here; staff see them under Sync.
+    async showRejectedBookings(items) {
+        if (SyncManager.getToken()) return;
+        const bookings = items.filter(item => item.type === 'appointments' && !this.sending.has(item.record.id));
+        if (bookings.length === 0) return;
+
+        for (const item of bookings) {
+            if (this.storage.appointments.some(record => record.id === item.record.id)) {
+                await this.storage.deleteRecords('appointments', [item.record.id]);
+            }
+        }
+        await this.storage.discardRejected(bookings.map(item => item.id));
+
+        Utils.showError(this.statusDiv, bookings.map(item =>
+            `We could not take your booking for ${Utils.escapeHtml(BookingSlots.formatWhen(item.record))} `
+            + `(reference <strong>${Utils.escapeHtml(item.record.reference)}</strong>): ${Utils.escapeHtml(item.lastError)}`
+        ).join('<br>'));
+    }
+
+    // Unusual measurements are only saved once the customer ticks to say they
+    // checked them; changing the measurements asks again
+    confirmWarnings(warnings) {
+        const key = JSON.stringify(warnings);
+        const existing = this.form.querySelector('.measurement-confirm');
+        if (existing && existing.dataset.warnings === key && existing.querySelector('input').checked) {
+            return true;
+        }
+
+        existing?.remove();
+        const confirmBox = Utils.createElement('label', 'measurement-confirm', `
+            <input type="checkbox">
+            <span>I have checked the measurements marked above and they are correct.</span>
+        `);
+        confirmBox.dataset.warnings = key;
+        this.submitBtn.before(confirmBox);
+
+        this.form.querySelector(`[name="${warnings[0][0]}"]`).focus();
+        Utils.showError(this.statusDiv, 'Some measurements look unusual. Please check them, then tick the box to confirm.');
+        return false;
+    }
+
+    collectFormData() {
+        return FormSubmission.collectFields(this.form);
+    }
+
+    static collectFields(form) {
+        const formData = new FormData(form);
+        const data = {};
+        
+        for (let [key, value] of formData.entries()) {
+            // Alternative Dates repeats; see SlotPicker.getAlternativeDates
+            if (key !== 'formType' && key !== 'Alternative Dates') {
+                data[key] = Utils.sanitizeInput(value);
+            }
+        }
+        
+        return data;
+    }
+
+    handleSuccess(data, queued = false) {
+        let message = 'Measurements submitted successfully! Data saved to your computer.';
+        if (this.formType === 'appointment' && queued) {
+            message = `Your request for ${Utils.escapeHtml(BookingSlots.formatWhen(data))} is saved on this device but has not `
+                + 'reached us yet, so it is not confirmed. It will be sent as soon as you are back online; '
+                + `your reference is <strong>${data.reference}</strong>.`;
+        } else if (this.formType === 'appointment' && Waitlist.isWaiting(data)) {
+            message = `You are on the waitlist for ${Utils.escapeHtml(BookingSlots.formatWhen(data))}. Your reference is `
+                + `<strong>${data.reference}</strong>. We will contact you if a place opens up.`;
+        } else if (this.formType === 'appointment') {
+            message = `Appointment booked successfully! Your booking reference is <strong>${data.reference}</strong>. `
+                + 'Keep it to change or cancel your booking under Manage My Booking.';
+        }
+        
+        Utils.showSuccess(this.statusDiv, message);
+        this.form.reset();
+        this.validator.errors.clear();
+        this.validator.warnings.clear();
+        
+        // Clear validation states
+        this.form.querySelectorAll('.valid, .invalid, .warning').forEach(field => {
+            field.classList.remove('valid', 'invalid', 'warning');
+        });
+        
+        this.form.querySelectorAll('.field-error-message, .field-warning-message, .measurement-confirm').forEach(error => {
+            error.remove();
+        });
+
+        // Show data management options
+        this.showDataManagementOptions(data);
+
+        // A booking keeps its "Add to calendar" button until the next submission
+        if (this.formType === 'measurement') {
+            setTimeout(() => {
+                Utils.clearMessage(this.statusDiv);
+            }, 5000);
+        }
+    }
+
+    handleError(error) {
+        console.error('Form submission error:', error);
+        
+        let errorMessage = 'Something went wrong. Please try again.';
+        
+        if (error.message.includes('QuotaExceededError')) {
+            errorMessage = 'Storage limit exceeded. Please export old data.';
+        } else if (error.message.includes('SecurityError')) {
+            errorMessage = 'Browser storage unavailable. Please enable local storage.';
+        } else if (error.message.includes('locked')) {
+            errorMessage = 'Customer data is locked. Enter the shop passphrase to save.';
+        } else if (error.name === 'SlotUnavailableError' || error.name === 'BookingRejectedError') {
+            errorMessage = Utils.escapeHtml(error.message);
+            this.slotPicker.refresh();
+        }
+        
+        Utils.showError(this.statusDiv, errorMessage);
+
+        setTimeout(() => {
+            Utils.clearMessage(this.statusDiv);
+        }, 8000);
+    }
+
+    showDataManagementOptions(data) {
+        const optionsDiv = Utils.createElement('div', 'data-management-options', `
+            <div style="margin-top: 1rem; padding: 1rem; background: #f8f9fa; border-radius: 8px;">
+                <p style="margin: 0 0 0.5rem 0; font-weight: 500;">Data saved successfully!</p>
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    ${this.formType === 'appointment' && !Waitlist.isWaiting(data) ? `
+                        <button type="button" class="btn btn-sm btn-primary add-to-calendar-btn">
+                            <i class="fas fa-calendar-plus"></i> Add to Calendar
+                        </button>
+                    ` : ''}
+                    <button onclick="window.exportData('${this.formType}s', 'json')" class="btn btn-sm btn-secondary">
+                        <i class="fas fa-download"></i> Export JSON
+                    </button>
+                    <button onclick="window.exportData('${this.formType}s', 'csv')" class="btn btn-sm btn-secondary">
+                        <i class="fas fa-file-csv"></i> Export CSV
+                    </button>
+                    <button onclick="window.viewData('${this.formType}')" class="btn btn-sm btn-secondary">
+                        <i class="fas fa-eye"></i> View Data
+                    </button>
+                </div>
+            </div>
+        `);
+        
+        optionsDiv.querySelector('.add-to-calendar-btn')?.addEventListener('click', () => {
+            this.storage.exportToICS([data], { fileName: 'bandra_booking', audience: 'customer' });
+        });
+        this.statusDiv.appendChild(optionsDiv);
+    }
+
+    setLoadingState(loading) {
+        if (loading) {
+            this.submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
+            this.submitBtn.disabled = true;
+            this.submitBtn.style.opacity = '0.7';
+        } else {
+            this.submitBtn.innerHTML = this.formType === 'measurement' ? 'Submit Measurements'
+                : this.slotPicker.full ? 'Join Waitlist' : 'Book Appointment';
+            this.submitBtn.disabled = false;
+            this.submitBtn.style.opacity = '1';
+        }
+    }
+}
+
+// ===== AUTO SAVE =====
+class AutoSave {
+    constructor(form, formType) {
+        this.form = form;
+        this.formType = formType;
+        this.saveKey = CONFIG.LOCAL_STORAGE.AUTO_SAVE_PREFIX + formType;
+        this.init();
+    }
+
+    init() {
+        // On the form so fields rendered later are saved too
+        this.form.addEventListener('input', Utils.debounce(() => this.save(), 2000));
+    }
+
+    save() {
+        // Drafts would sit in localStorage unencrypted
+        if (DataVault.isEnabled()) return;
+
+        try {
+            const formData = this.collectFormData();
+            localStorage.setItem(this.saveKey, JSON.stringify(formData));
+            localStorage.setItem(this.saveKey + '_timestamp', Date.now().toString());
+        } catch (error) {
+            console.error('Auto-save failed:', error);
+        }
+    }
+
+    loadSavedData() {
+        try {
+            const savedData = localStorage.getItem(this.saveKey);
+            if (savedData) {
+                const data = JSON.parse(savedData);
+                
+                // Populate form fields; a select always holds a value, so the
+                // saved choice replaces it. The change event lets a blouse style
+                // render its fields before their values are filled in.
+                Object.entries(data).forEach(([key, value]) => {
+                    const field = this.form.querySelector(`[name="${key}"]`);
+                    if (field && (!field.value || field.tagName === 'SELECT')) {
+                        field.value = value;
+                        field.dispatchEvent(new Event('change', { bubbles: true }));
+                    }
+                });
+                
+                // Clear auto-save after successful load
+                this.clearSavedData();
+            }
+        } catch (error) {
+            console.error('Load auto-save failed:', error);
+        }
+    }
+
+    clearSavedData() {
+        localStorage.removeItem(this.saveKey);
+        localStorage.removeItem(this.saveKey + '_timestamp');
+    }
+
+    collectFormData() {
+        const formData = new FormData(this.form);
+        const data = {};
+        
+        for (let [key, value] of formData.entries()) {
+            if (key !== 'formType') {
+                data[key] = value;
+            }
+        }
+        
+        return data;
+    }
+}
+
+// ===== MEASUREMENT FIELDS =====
+// Renders a form's measurement inputs for its Blouse Style and Measurement
+// Unit selects, and the matching Measurement Guide steps and body diagram when
+// those elements are given. Values already entered are kept for fields the
+// new style also asks for; changing the unit relabels them without converting.
+// Focusing an input highlights its tape line and step; clicking either one
+// focuses the input.
+class MeasurementFields {
+    // `values` fills the first render, e.g. the set being edited
+    constructor(form, { guide = null, diagram = null, values = {} } = {}) {
+        this.form = form;
+        this.guide = guide;
+        this.diagram = diagram;
+        this.select = form.querySelector('select[name="Blouse Style"]');
+        this.unitSelect = form.querySelector('select[name="Measurement Unit"]');
+        this.container = form.querySelector('.measurement-fields');
+        if (this.select && this.container) {
+            this.init(values);
+        }
+    }
+
+    init(values) {
+        const chosen = this.select.value;
+        this.select.innerHTML = Object.entries(CONFIG.MEASUREMENTS.STYLES).map(([name, style]) => `
+            <option value="${Utils.escapeHtml(name)}" ${name === CONFIG.MEASUREMENTS.DEFAULT_STYLE ? 'selected' : ''}>
+                ${Utils.escapeHtml(name)} (${Utils.escapeHtml(style.description)})
+            </option>
+        `).join('');
+        this.select.value = CONFIG.MEASUREMENTS.STYLES[chosen] ? chosen : CONFIG.MEASUREMENTS.DEFAULT_STYLE;
+
+        if (this.unitSelect) {
+            const unit = MeasurementUnits.getEnteredUnit({ 'Measurement Unit': this.unitSelect.value });
+            this.unitSelect.innerHTML = Object.entries(CONFIG.MEASUREMENTS.UNITS).map(([value, { name }]) => `
+                <option value="${value}" ${value === CONFIG.MEASUREMENTS.UNIT ? 'selected' : ''}>${name}</option>
+            `).join('');
+            this.unitSelect.value = unit;
+            this.unitSelect.addEventListener('change', () => this.render());
+        }
+
+        this.select.addEventListener('change', () => this.render());
+        // Runs after the reset has put back the default style
+        this.form.addEventListener('reset', () => setTimeout(() => this.render()));
+
+        if (this.diagram) {
+            this.container.addEventListener('focusin', (event) => this.highlight(event.target.name));
+            [this.diagram, this.guide].filter(Boolean).forEach(element => {
+                element.addEventListener('click', (event) => {
+                    const target = event.target.closest('[data-measurement-target], [data-measurement-step]');
+                    if (!target) return;
+                    const name = target.dataset.measurementTarget || target.dataset.measurementStep;
+                    this.container.querySelector(`[name="${name}"]`)?.focus();
+                });
+            });
+        }
+        this.render(values);
+    }
+
+    render(values = {}) {
+        const entered = Object.fromEntries(Array.from(this.container.querySelectorAll('input'))
+            .filter(input => input.value)
+            .map(input => [input.name, input.value]));
+        const kept = { ...values, ...entered };
+        const fields = MeasurementSchema.getFields(this.select.value);
+        const unit = MeasurementUnits.get(this.unitSelect ? this.unitSelect.value : CONFIG.MEASUREMENTS.UNIT).label;
+
+        const rows = [];
+        for (let i = 0; i < fields.length; i += 2) {
+            rows.push(fields.slice(i, i + 2));
+        }
+        this.container.innerHTML = rows.map(row => `
+            <div class="form-row">
+                ${row.map(field => `
+                    <div class="form-group">
+                        <input type="number" name="${Utils.escapeHtml(field)}" step="any"
+                               placeholder="${Utils.escapeHtml(field)} (${unit})" aria-label="${Utils.escapeHtml(field)} (${unit})" required>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+        fields.forEach(field => {
+            if (kept[field] !== undefined) {
+                this.container.querySelector(`[name="${field}"]`).value = kept[field];
+            }
+        });
+
+        if (this.diagram) {
+            this.diagram.innerHTML = `
+                <div class="measurement-diagram-views">${MeasurementDiagram.render(fields)}</div>
+                <div class="measurement-instruction" aria-live="polite">
+                    <p>Tap a line on the diagram or a measurement box to see how to measure it.</p>
+                </div>
+            `;
+        }
+
+        if (this.guide) {
+            this.guide.innerHTML = fields.map((field, index) => {
+                const step = CONFIG.MEASUREMENTS.GUIDE[field] || { title: field, text: '' };
+                return `
+                    <div class="step" data-measurement-step="${Utils.escapeHtml(field)}">
+                        <div class="step-number">${index + 1}</div>
+                        <div class="step-content">
+                            <h4>${Utils.escapeHtml(step.title)}</h4>
+                            <p>${Utils.escapeHtml(step.text)}</p>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+
+    // Shows how to take one measurement: its line, its step, and on small
+    // screens a hint under the input, since the diagram is scrolled away there
+    highlight(name) {
+        if (!MeasurementSchema.isField(name)) return;
+        const step = CONFIG.MEASUREMENTS.GUIDE[name] || { title: name, text: '' };
+
+        this.diagram.querySelectorAll('[data-measurement-line]').forEach(line => {
+            line.classList.toggle('active', line.dataset.measurementLine === name);
+        });
+        this.guide?.querySelectorAll('[data-measurement-step]').forEach(element => {
+            element.classList.toggle('active', element.dataset.measurementStep === name);
+        });
+        this.diagram.querySelector('.measurement-instruction').innerHTML = `
+            <h4>${Utils.escapeHtml(step.title)}</h4>
+            <p>${Utils.escapeHtml(step.text)}</p>
+        `;
+
+        this.container.querySelectorAll('.measurement-hint').forEach(hint => hint.remove());
+        this.container.querySelector(`[name="${name}"]`)
+            .after(Utils.createElement('div', 'measurement-hint', Utils.escapeHtml(step.text)));
+    }
+}
+
+// ===== SLOT PICKER =====
+// Fills a form's Preferred Time select with the free start times for the
+// chosen date and service, and keeps it current as bookings and closures change.
+// A form with a .waitlist-offer element offers the waitlist on full dates.
+class SlotPicker {
+    // `current` is the booking being edited: its own slot stays on offer
+    constructor(form, { current = null } = {}) {
+        this.form = form;
+        this.current = current;
+        this.select = form.querySelector('select[name="Preferred Time"]');
+        this.waitlist = form.querySelector('.waitlist-offer');
+        this.full = false;
+        this.storage = LocalStorageManager.getInstance();
+        if (this.select) {
+            this.init();
+        }
+    }
+
+    init() {
+        this.form.querySelector('[name="Preferred Date"]').addEventListener('change', () => this.loadDay());
+        this.form.querySelector('[name="Service Type"]').addEventListener('change', () => this.refresh());
+        // Runs after the reset has cleared the date
+        this.form.addEventListener('reset', () => setTimeout(() => this.refresh()));
+
+        const onChange = (event) => {
+            if (!this.form.isConnected) {
+                window.removeEventListener('bandra:change', onChange);
+                window.removeEventListener('bandra:closures', onChange);
+            } else if (event.type === 'bandra:closures' || event.detail.type === 'appointments') {
+                this.refresh();
+            }
+        };
+        window.addEventListener('bandra:change', onChange);
+        window.addEventListener('bandra:closures', onChange);
+
+        this.refresh();
+        this.storage.ready.then(() => this.loadDay());
+    }
+
+    // Shows the day at once, then again with bookings made on other devices
+    async loadDay() {
+        this.refresh();
+        const day = this.form.querySelector('[name="Preferred Date"]').value;
+        if (!day) return;
+        await this.storage.loadDayBookings(day);
+        this.refresh();
+    }
+
+    refresh() {
+        const day = this.form.querySelector('[name="Preferred Date"]').value;
+        const service = this.form.querySelector('[name="Service Type"]').value;
+        const keep = this.current && this.current['Preferred Date'] === day ? this.current['Preferred Time'] : '';
+        const selected = this.select.value || keep;
+
+        let slots = [];
+        let placeholder = 'Choose a date and service first';
+        if (day && service) {
+            slots = BookingSlots.getSlots(day, service, this.storage.getDayBookings(day), {
+                excludeId: this.current ? this.current.id : null
+            }).filter(slot => slot.free > 0 || slot.time === keep);
+            if (keep && !slots.some(slot => slot.time === keep)) {
+                slots.unshift({ time: keep });
+            }
+            const hours = BookingSlots.getHours(day);
+            const closedHours = hours ? hours.closed
+                .map(range => `closed ${BookingSlots.formatTime(range.from)}-${BookingSlots.formatTime(range.to)} for ${range.reason}`)
+                .join(', ') : '';
+            this.full = Boolean(this.waitlist) && !keep
+                && BookingSlots.isFull(day, service, this.storage.getDayBookings(day));
+            placeholder = !hours ? `Closed: ${BookingSlots.getClosedReason(day)}`
+                : this.full ? 'Fully booked - you can join the waitlist'
+                : slots.length === 0 ? 'No free times on this day'
+                : closedHours ? `Select a time (${closedHours})` : 'Select a time';
+        }
+
+        const duration = BookingSlots.getDuration(service);
+        this.select.innerHTML = `<option value="">${Utils.escapeHtml(placeholder)}</option>` + slots.map(slot => {
+            const end = BookingSlots.formatTime(BookingSlots.toMinutes(slot.time) + duration);
+            return `<option value="${slot.time}">${slot.time} - ${end}</option>`;
+        }).join('');
+        this.select.value = slots.some(slot => slot.time === selected) ? selected : '';
+
+        if (this.waitlist) {
+            if (!day || !service) this.full = false;
+            this.renderWaitlist();
+        }
+    }
+
+    renderWaitlist() {
+        this.select.required = !this.full;
+        this.form.querySelector('button[type="submit"]').textContent = this.full ? 'Join Waitlist' : 'Book Appointment';
+        if (!this.full) {
+            this.waitlist.hidden = true;
+            this.waitlist.innerHTML = '';
+            return;
+        }
+        // Keep dates already entered when the list is refreshed
+        if (!this.waitlist.hidden) return;
+
+        const today = Utils.toShopDate(new Date());
+        this.waitlist.hidden = false;
+        this.waitlist.innerHTML = `
+            <p>This date is fully booked. Join the waitlist and we will contact you if a place opens up.
+               Add any other dates that would suit you:</p>
+            ${Array.from({ length: CONFIG.WAITLIST.MAX_ALTERNATIVES }, (_, index) => `
+                <div class="form-group">
+                    <input type="date" name="Alternative Dates" min="${today}" aria-label="Other date ${index + 1} (optional)">
+                </div>
+            `).join('')}
+        `;
+    }
+
+    getAlternativeDates() {
+        return Array.from(this.form.querySelectorAll('[name="Alternative Dates"]'))
+            .map(input => input.value)
+            .filter(Boolean);
+    }
+}
+
+// ===== MANAGE BOOKING =====
+// Customers find their booking with its reference code and phone number,
+// then move or cancel it. A booking made on another device is fetched from
+// the sync service first (see SyncManager).
+class BookingManager {
+    constructor(formId, syncManager = null) {
+        this.form = document.getElementById(formId);
+        this.syncManager = syncManager;
+        this.storage = LocalStorageManager.getInstance();
+        this.statusDiv = this.form.querySelector('.form-status');
+        this.details = document.querySelector(`[data-booking-details="${formId}"]`);
+        this.validator = new FormValidator(this.form);
+        this.booking = null;
+        this.init();
+    }
+
+    init() {
+        this.form.addEventListener('submit', (e) => this.handleLookup(e));
+    }
+
+    async handleLookup(e) {
+        e.preventDefault();
+        if (!this.validator.validateAll()) return;
+
+        Utils.clearMessage(this.statusDiv);
+        this.details.innerHTML = '';
+        const fields = FormSubmission.collectFields(this.form);
+
+        try {
+            if (!await DataVault.ensureUnlocked()) {
+                throw new Error('Customer data is locked');
+            }
+            await this.storage.ready;
+            this.booking = await this.findBooking(fields.Reference, fields['Contact Number']);
+        } catch (error) {
+            console.error('Booking lookup error:', error);
+            Utils.showError(this.statusDiv, 'Could not look up your booking. Please try again.');
+            return;
+        }
+
+        if (!this.booking) {
+            Utils.showError(this.statusDiv, 'No booking matches that reference and phone number.');
+            return;
+        }
+        this.renderBooking();
+    }
+
+    async findBooking(reference, phone) {
+        const local = this.storage.findBooking(reference, phone);
+        if (local || !this.syncManager) return local;
+
+        const remote = await this.syncManager.lookupBooking(reference, phone);
+        if (!remote) return null;
+        // Staff browsers pull the same copy anyway and link it as usual
+        const copy = SyncManager.getToken() ? remote : { ...remote, lookedUp: true };
+        await this.storage.applyRemoteChanges({ appointments: [copy] });
+        return this.storage.findBooking(reference, phone);
+    }
+
+    renderBooking(message = '') {
+        const booking = this.booking;
+        const blocked = BookingSlots.getSelfServiceBlock(booking);
+
+        this.details.innerHTML = `
+            <div class="manage-booking-card">
+                <p><strong>${Utils.escapeHtml(booking.reference)}</strong> - ${Utils.escapeHtml(StatusWorkflow.getLabel(booking.status))}</p>
+                <p>${Utils.escapeHtml(booking['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(booking))}</p>
+                ${blocked ? `<p><small>${Utils.escapeHtml(blocked)}</small></p>` : `
+                    <form class="google-form">
+                        <input type="hidden" name="Service Type" value="${Utils.escapeHtml(booking['Service Type'])}">
+                        <div class="form-group">
+                            <input type="date" name="Preferred Date" value="${Utils.escapeHtml(booking['Preferred Date'])}" required>
+                        </div>
+                        <div class="form-group">
+                            <select name="Preferred Time" required></select>
+                        </div>
+                        <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                            <button type="submit" class="btn btn-sm btn-primary">Move Booking</button>
+                            <button type="button" class="btn btn-sm btn-secondary" data-booking-cancel>Cancel Booking</button>
+                        </div>
+                    </form>
+                `}
+                <div class="form-status"></div>
+            </div>
+        `;
+
+        const statusDiv = this.details.querySelector('.form-status');
+        if (message) {
+            Utils.showSuccess(statusDiv, message);
+        }
+
+        const form = this.details.querySelector('form');
+        if (!form) return;
+
+        const validator = new FormValidator(form);
+        new SlotPicker(form, { current: booking });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!validator.validateAll()) return;
+            const fields = FormSubmission.collectFields(form);
+            if (fields['Preferred Date'] === booking['Preferred Date'] && fields['Preferred Time'] === booking['Preferred Time']) {
+                Utils.showError(statusDiv, 'Choose a new date or time to move your booking.');
+                return;
+            }
+
+            const result = await this.storage.updateRecord('appointments', booking.id, {
+                'Preferred Date': fields['Preferred Date'],
+                'Preferred Time': fields['Preferred Time']
+            }, { action: 'customer' });
+            this.handleResult(result, statusDiv, `Your booking is now on ${Utils.escapeHtml(BookingSlots.formatWhen(result.data || booking))}.`);
+        });
+
+        form.querySelector('[data-booking-cancel]').addEventListener('click', async () => {
+            if (!confirm('Cancel this booking?')) return;
+            const result = await this.storage.updateStatus('appointments', booking.id, 'cancelled',
+                CONFIG.BOOKING.SELF_SERVICE.CANCEL_NOTE, { action: 'customer' });
+            this.handleResult(result, statusDiv, 'Your booking has been cancelled.');
+        });
+    }
+
+    handleResult(result, statusDiv, message) {
+        if (result.success) {
+            this.booking = result.data;
+            this.renderBooking(message);
+        } else if (result.error && result.error.name === 'SlotUnavailableError') {
+            Utils.showError(statusDiv, result.error.message);
+        } else {
+            Utils.showError(statusDiv, 'Could not save the change. Please try again.');
+        }
+    }
+}
+
+// ===== PORTFOLIO FILTER =====
+class PortfolioFilter {
+    constructor() {
+        this.filterBtns = document.querySelectorAll('.filter-btn');
+        this.portfolioItems = document.querySelectorAll('.portfolio-item');
+        this.activeFilter = 'all';
+        this.init();
+    }
+
+    init() {
+        this.filterBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => this.filterItems(e.target.dataset.filter));
+        });
+    }
+
+    filterItems(filterValue) {
+        // Update active button
+        this.filterBtns.forEach(btn => btn.classList.remove('active'));
+        event.target.classList.add('active');
+        
+        this.activeFilter = filterValue;
+
+        this.portfolioItems.forEach(item => {
+            const category = item.dataset.category;
+            const shouldShow = filterValue === 'all' || category === filterValue;
+            
+            if (shouldShow) {
+                item.style.display = 'block';
+                setTimeout(() => {
+                    item.style.opacity = '1';
+                    item.style.transform = 'scale(1)';
+                }, 50);
+            } else {
+                item.style.opacity = '0';
+                item.style.transform = 'scale(0.9)';
+                setTimeout(() => {
+                    item.style.display = 'none';
+                }, 300);
+            }
+        });
+    }
+}
+
+// ===== NAVIGATION =====
+class Navigation {
+    constructor() {
+        this.navbar = document.querySelector('.navbar');
+        this.navMenu = document.querySelector('.nav-menu');
+        this.hamburger = document.querySelector('.hamburger');
+        this.init();
+    }
+
+    init() {
+        this.hamburger.addEventListener('click', () => this.toggleMenu());
+        
+        document.querySelectorAll('.nav-link').forEach(link => {
+            link.addEventListener('click', () => this.closeMenu());
+        });
+
+        window.addEventListener('scroll', Utils.throttle(() => this.handleScroll(), 100));
+    }
+
+    toggleMenu() {
+        this.hamburger.classList.toggle('active');
+        this.navMenu.classList.toggle('active');
+        
+        // Animate hamburger
+        const bars = this.hamburger.querySelectorAll('.bar');
+        bars.forEach((bar, index) => {
+            if (this.hamburger.classList.contains('active')) {
+                if (index === 0) bar.style.transform = 'rotate(45deg) translate(5px, 5px)';
+                if (index === 1) bar.style.opacity = '0';
+                if (index === 2) bar.style.transform = 'rotate(-45deg) translate(7px, -6px)';
+            } else {
+                bar.style.transform = '';
+                bar.style.opacity = '';
+            }
+        });
+    }
+
+    closeMenu() {
+        this.hamburger.classList.remove('active');
+        this.navMenu.classList.remove('active');
+    }
+
+    handleScroll() {
+        if (window.scrollY > 100) {
+            this.navbar.style.background = 'rgba(255, 255, 255, 0.95)';
+            this.navbar.style.backdropFilter = 'blur(10px)';
+            this.navbar.style.boxShadow = '0 2px 20px rgba(0,0,0,0.1)';
+        } else {
+            this.navbar.style.background = 'var(--white)';
+            this.navbar.style.backdropFilter = 'none';
+            this.navbar.style.boxShadow = '0 2px 10px rgba(0,0,0,0.1)';
+        }
+    }
+}
+
+// ===== WHATSAPP INTEGRATION =====
+class WhatsAppIntegration {
+    constructor() {
+        this.phoneNumber = CONFIG.WHATSAPP.NUMBER;
+        this.message = CONFIG.WHATSAPP.MESSAGE;
+        this.init();
+    }
+
+    init() {
+        this.createButton();
+        this.addStyles();
+    }
+
+    createButton() {
+        const button = Utils.createElement('div', 'whatsapp-float', '<i class="fab fa-whatsapp"></i>');
+        button.title = 'Chat with us on WhatsApp';
+        button.addEventListener('click', () => this.openChat());
+        document.body.appendChild(button);
+    }
+
+    openChat() {
+        const message = encodeURIComponent(this.message);
+        const url = `https://wa.me/${this.phoneNumber}?text=${message}`;
+        window.open(url, '_blank', 'noopener,noreferrer');
+    }
+
+    addStyles() {
+        const styles = `
+            .whatsapp-float {
+                position: fixed;
+                width: 60px;
+                height: 60px;
+                bottom: 30px;
+                right: 30px;
+                background: linear-gradient(135deg, #25D366, #128C7E);
+                color: white;
+                border-radius: 50%;
+                text-align: center;
+                font-size: 28px;
+                box-shadow: 0 4px 20px rgba(37, 211, 102, 0.4);
+                z-index: 1000;
+                cursor: pointer;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                transition: all 0.3s ease;
+                animation: pulse 2s infinite;
+            }
+            
+            .whatsapp-float:hover {
+                transform: scale(1.1) translateY(-5px);
+                box-shadow: 0 8px 30px rgba(37, 211, 102, 0.6);
+            }
+            
+            @keyframes pulse {
+                0% { box-shadow: 0 0 0 0 rgba(37, 211, 102, 0.7); }
+                70% { box-shadow: 0 0 0 15px rgba(37, 211, 102, 0); }
+                100% { box-shadow: 0 0 0 0 rgba(37, 211, 102, 0); }
+            }
+        `;
+        
+        const styleSheet = document.createElement('style');
+        styleSheet.textContent = styles;
+        document.head.appendChild(styleSheet);
+    }
+}
+
+// ===== ANIMATIONS =====
+class Animations {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.animateHero();
+        this.animatePortfolio();
+        this.animateServices();
+    }
+
+    animateHero() {
+        const heroContent = document.querySelector('.hero-content');
+        if (heroContent) {
+            heroContent.style.opacity = '0';
+            heroContent.style.transform = 'translateY(50px)';
+            
+            setTimeout(() => {
+                heroContent.style.transition = 'all 1s ease';
+                heroContent.style.opacity = '1';
+                heroContent.style.transform = 'translateY(0)';
+            }, 300);
+        }
+    }
+
+    animatePortfolio() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.style.opacity = '1';
+                    entry.target.style.transform = 'translateY(0)';
+                }
+            });
+        }, { threshold: 0.1 });
+
+        document.querySelectorAll('.portfolio-item').forEach(item => {
+            item.style.opacity = '0';
+            item.style.transform = 'translateY(30px)';
+            item.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+            observer.observe(item);
+        });
+    }
+
+    animateServices() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.style.opacity = '1';
+                    entry.target.style.transform = 'translateY(0)';
+                }
+            });
+        }, { threshold: 0.2 });
+
+        document.querySelectorAll('.service-card').forEach(card => {
+            card.style.opacity = '0';
+            card.style.transform = 'translateY(30px)';
+            card.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+            observer.observe(card);
+        });
+    }
+}
+
+// ===== REMOTE SYNC =====
+// Sends every saved change to the shop's sync service and, on the shop's own
+// computer, pulls down the bookings customers made from their phones.
+//
+// JSON contract (all bodies are application/json):
+//
+//   POST {ENDPOINT}/records
+//     request:  { "clientId": "<browser id>",
+//                 "records": [{ "type": "measurements" | "appointments" | "customers",
+//                               "record": { "id": "...", "updatedAt": "<ISO date>", ... } }] }
+//     response: { "accepted": ["<record id>", ...],
+//                 "rejected": [{ "id": "<record id>", "reason": "..." }] }
+//     The service keeps whichever copy of a record has the newer updatedAt,
+//     and refuses records RecordSchema.isValid would not store. A deleted
+//     record is posted as a tombstone, { "id", "updatedAt", "deleted": true },
+//     which the service keeps in its place. Without a token only new
+//     appointments, pending or waitlisted, may be posted; measurements,
+//     customers, tombstones and changes to existing records need the staff token.
+//
+//   GET {ENDPOINT}/records?since=<ISO date>
+//     header:   Authorization: Bearer <staff token>
+//     response: { "records": [{ "type": "...", "record": { ... } }], "serverTime": "<ISO date>" }
+//     Returns records, tombstones included, the service stored after `since`;
+//     pass serverTime as the next `since`.
+//
+//   GET {ENDPOINT}/availability?date=<YYYY-MM-DD>&exclude=<id>,<id>...
+//     response: { "bookings": [{ "Preferred Date", "Preferred Time", "Service Type",
+//                                "duration", "status" }] }
+//     Every appointment stored for that day apart from the excluded ones the
+//     browser holds itself, without ids or customer details, so a customer's
+//     browser can count bookings made on other devices. A pushed
+//     appointment that takes a time which is no longer free (see BookingSlots)
+//     is rejected.
+//
+//   GET {ENDPOINT}/bookings?reference=<A-XXXXXX>&phone=<digits with country code>
+//     response: { "record": { ... } }, or 404 when no appointment matches both
+//     Lets customers manage a booking made on another device. Without the
+//     staff token, a push changing that appointment is accepted only when its
+//     reference and phone number match the stored copy. It may only cancel
+//     the booking or move it to a free time, and only while
+//     BookingSlots.getSelfServiceBlock allows; the service writes the
+//     status history itself. Other changes are ignored.
+//
+//   GET {ENDPOINT}/closures
+//     response: { "closures": [{ "id", "start", "end", "yearly", "from", "to", "reason" }],
+//                 "updatedAt": ISO timestamp, or null before any list was shared }
+//   POST {ENDPOINT}/closures
+//     header:   Authorization: Bearer <staff token>
+//     request:  { "closures": [...] }, replacing the stored list
+//     Closures staff add on the shop computer (see Closures). Every browser
+//     reads them on load so the booking form honours them. Changes made in a
+//     browser are pushed before it pulls; until they are, or where there is
+//     no staff token, the pulled list is merged into ours by id.
+//
+// Failed pushes stay in the outbox and are retried with exponential backoff,
+// and immediately when the browser comes back online. Records the service
+// explicitly rejects are not retried; they are set aside and listed in the
+// data panel, where staff can send them again or discard them. The booking
+// form waits for its push and tells the customer a rejected booking was not
+// made, including one sent later from the outbox.
+
+// Thrown when the sync service turns down a booking this browser sent
+class BookingRejectedError extends Error {
+    constructor(reason) {
+        super(`We could not take this booking: ${reason}`);
+        this.name = 'BookingRejectedError';
+    }
+}
+class SyncManager {
+    constructor() {
+        this.storage = LocalStorageManager.getInstance();
+        this.retryTimer = null;
+        this.pullTimer = null;
+        this.flushing = null;
+        this.flushAgain = false;
+        this.lastError = null;
+        this.init();
+    }
+
+    static getEndpoint() {
+        return (localStorage.getItem(CONFIG.SYNC.ENDPOINT_KEY) || CONFIG.SYNC.ENDPOINT).replace(/\/+$/, '');
+    }
+
+    static isConfigured() {
+        return Boolean(SyncManager.getEndpoint()) && typeof fetch === 'function';
+    }
+
+    static getToken() {
+        return localStorage.getItem(CONFIG.SYNC.TOKEN_KEY) || '';
+    }
+
+    static getClientId() {
+        let clientId = localStorage.getItem(CONFIG.SYNC.CLIENT_ID_KEY);
+        if (!clientId) {
+            clientId = Utils.generateId();
+            localStorage.setItem(CONFIG.SYNC.CLIENT_ID_KEY, clientId);
+        }
+        return clientId;
+    }
+
+    init() {
+        window.addEventListener('bandra:outbox', () => this.flush());
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('bandra:closures', (event) => {
+            if (event.detail.source === 'local') this.pushClosures();
+        });
+        this.flush();
+        this.pullClosures();
+        this.schedulePull();
+    }
+
+    // Pulling is only for the shop computer, which holds the staff token
+    schedulePull() {
+        clearInterval(this.pullTimer);
+        if (!SyncManager.isConfigured() || !SyncManager.getToken()) return;
+
+        this.pull();
+        this.pullTimer = setInterval(() => this.pull(), CONFIG.SYNC.PULL_INTERVAL_MS);
+    }
+
+    getRetryDelay(attempts) {
+        const delay = Math.min(CONFIG.SYNC.RETRY_BASE_MS * 2 ** attempts, CONFIG.SYNC.RETRY_MAX_MS);
+        // Jitter so many phones coming back online do not retry in lockstep
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    static async request(path, options = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.SYNC.TIMEOUT_MS);
+        const token = SyncManager.getToken();
+
+        try {
+            const response = await fetch(SyncManager.getEndpoint() + path, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...options.headers
+                },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Sync service responded ${response.status}`);
+            }
+            return response.json();
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // Only one flush runs at a time; changes queued meanwhile trigger one more
+    flush() {
+        if (this.flushing) {
+            this.flushAgain = true;
+            return this.flushing;
+        }
+
+        this.flushAgain = false;
+        this.flushing = this.pushOutbox().finally(() => {
+            this.flushing = null;
+            if (this.flushAgain) this.flush();
+        });
+        return this.flushing;
+    }
+
+    // Pushes the outbox now and reports what became of one record:
+    // 'accepted', 'rejected' with the service's reason, or 'queued' when the
+    // service could not be reached and it waits for the next retry
+    async deliver(type, record) {
+        const key = `${type}:${record.id}`;
+        await this.flush();
+        // A change queued meanwhile sends ours in one more round
+        while (this.flushing) await this.flushing;
+
+        const outbox = await this.storage.loadData('outbox');
+        if (outbox.some(item => item.id === key)) return { status: 'queued' };
+
+        const refused = (await this.storage.loadRejected()).find(item => item.id === key);
+        return refused ? { status: 'rejected', reason: refused.lastError } : { status: 'accepted' };
+    }
+
+    async pushOutbox() {
+        if (!SyncManager.isConfigured() || navigator.onLine === false) return;
+
+        await this.storage.ready;
+        const now = new Date();
+        const outbox = await this.storage.loadData('outbox');
+        const due = outbox
+            .filter(item => new Date(item.nextAttemptAt) <= now)
+            .slice(0, CONFIG.SYNC.BATCH_SIZE);
+
+        if (due.length > 0) {
+            let response = null;
+            try {
+                response = await SyncManager.request('/records', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        clientId: SyncManager.getClientId(),
+                        records: due.map(item => ({ type: item.type, record: item.record }))
+                    })
+                });
+                this.lastError = null;
+            } catch (error) {
+                console.warn('Sync push failed, will retry:', error);
+                this.lastError = error.message;
+            }
+
+            await this.updateOutbox(due, response);
+        }
+
+        this.scheduleRetry();
+    }
+
+    async updateOutbox(sent, response) {
+        const accepted = new Set(response ? response.accepted || [] : []);
+        const rejected = new Map((response ? response.rejected || [] : []).map(item => [item.id, item.reason]));
+        const sentIds = new Set(sent.map(item => item.id));
+
+        const refused = [];
+
+        // Works on the stored outbox in case a newer change to one of these records was queued meanwhile
+        await this.storage.editOutbox(current => {
+            const remaining = [];
+            current.forEach(item => {
+                const sentItem = sent.find(candidate => candidate.id === item.id);
+                if (!sentIds.has(item.id) || sentItem.record.updatedAt !== item.record.updatedAt) {
+                    remaining.push(item);
+                    return;
+                }
+                if (accepted.has(item.record.id)) return;
+                if (rejected.has(item.record.id)) {
+                    refused.push({ ...item, lastError: rejected.get(item.record.id), rejectedAt: new Date().toISOString() });
+                    return;
+                }
+
+                const attempts = item.attempts + 1;
+                remaining.push({
+                    ...item,
+                    attempts,
+                    lastError: this.lastError || 'Not accepted',
+                    nextAttemptAt: new Date(Date.now() + this.getRetryDelay(attempts)).toISOString()
+                });
+            });
+            return remaining;
+        });
+        await this.storage.addRejected(refused);
+        if (refused.length > 0) {
+            window.dispatchEvent(new CustomEvent('bandra:rejected', { detail: { items: refused } }));
+        }
+    }
+
+    async scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        const outbox = await this.storage.loadData('outbox');
+        if (outbox.length === 0) return;
+
+        const next = Math.min(...outbox.map(item => new Date(item.nextAttemptAt).getTime()));
+        this.retryTimer = setTimeout(() => this.flush(), Math.max(next - Date.now(), 1000));
+    }
+
+    async pull() {
+        if (!SyncManager.isConfigured() || !SyncManager.getToken() || navigator.onLine === false) {
+            return null;
+        }
+        if (!DataVault.isUnlocked() && DataVault.isEnabled()) return null;
+
+        try {
+            await this.storage.ready;
+            const since = localStorage.getItem(CONFIG.SYNC.LAST_PULL_KEY) || '';
+            const response = await SyncManager.request(`/records?since=${encodeURIComponent(since)}`);
+
+            const changes = { measurements: [], appointments: [], customers: [] };
+            (response.records || []).forEach(({ type, record }) => {
+                if (changes[type]) changes[type].push(record);
+            });
+
+            const result = await this.storage.applyRemoteChanges(changes);
+            await this.pullClosures();
+            if (response.serverTime) {
+                localStorage.setItem(CONFIG.SYNC.LAST_PULL_KEY, response.serverTime);
+            }
+            this.lastError = null;
+
+            if (result.applied > 0) {
+                window.dispatchEvent(new CustomEvent('bandra:synced', { detail: result }));
+            }
+            return result;
+        } catch (error) {
+            console.warn('Sync pull failed:', error);
+            this.lastError = error.message;
+            return null;
+        }
+    }
+
+    async pullClosures() {
+        if (!SyncManager.isConfigured() || navigator.onLine === false) return;
+        if (Closures.hasUnshared()) await this.pushClosures();
+
+        try {
+            const response = await SyncManager.request('/closures');
+            // A service nobody has shared closures with yet has nothing to replace ours
+            if (!response.updatedAt && Closures.getStored().length) {
+                await this.pushClosures();
+                return;
+            }
+            const closures = Closures.hasUnshared()
+                ? Closures.merge(response.closures || [])
+                : response.closures || [];
+            if (JSON.stringify(closures) !== JSON.stringify(Closures.getStored())) {
+                Closures.save(closures, 'remote');
+            }
+        } catch (error) {
+            console.warn('Could not load closures:', error);
+        }
+    }
+
+    // Only the shop computer, holding the staff token, can share closures
+    async pushClosures() {
+        if (!SyncManager.isConfigured() || !SyncManager.getToken()) return false;
+
+        try {
+            await SyncManager.request('/closures', {
+                method: 'POST',
+                body: JSON.stringify({ closures: Closures.getStored() })
+            });
+            Closures.markShared();
+            this.lastError = null;
+            return true;
+        } catch (error) {
+            console.warn('Could not share closures:', error);
+            this.lastError = error.message;
+            return false;
+        }
+    }
+
+    // Every device's bookings on a YYYY-MM-DD day apart from the `exclude`
+    // ids we hold, with only what slot checks need, or null when the service
+    // cannot be reached
+    static async fetchDayBookings(day, exclude = []) {
+        if (!SyncManager.isConfigured() || navigator.onLine === false) return null;
+
+        try {
+            const response = await SyncManager.request(`/availability?date=${encodeURIComponent(day)}`
+                + `&exclude=${encodeURIComponent(exclude.join(','))}`);
+            return Array.isArray(response.bookings) ? response.bookings : null;
+        } catch (error) {
+            console.warn('Could not check availability:', error);
+            return null;
+        }
+    }
+
+    // The customer's booking as the sync service has it, or null
+    async lookupBooking(reference, phone) {
+        if (!SyncManager.isConfigured() || navigator.onLine === false) return null;
+
+        const code = RecordSchema.normalizeReference(reference, 'appointments');
+        try {
+            const response = await SyncManager.request(`/bookings?reference=${encodeURIComponent(code)}`
+                + `&phone=${encodeURIComponent(Utils.normalizePhone(phone))}`);
+            return response.record || null;
+        } catch (error) {
+            console.warn('Booking lookup failed:', error);
+            return null;
+        }
+    }
+
+    async getStatus() {
+        await this.storage.ready;
+        const outbox = await this.storage.loadData('outbox');
+        return {
+            configured: SyncManager.isConfigured(),
+            endpoint: SyncManager.getEndpoint(),
+            canPull: Boolean(SyncManager.getToken()),
+            pending: outbox.length,
+            rejected: await this.storage.loadRejected(),
+            lastPull: localStorage.getItem(CONFIG.SYNC.LAST_PULL_KEY),
+            lastError: this.lastError || (outbox.find(item => item.lastError) || {}).lastError || null
+        };
+    }
+
+    updateSettings(endpoint, token) {
+        const setOrRemove = (key, value) => value
+            ? localStorage.setItem(key, value)
+            : localStorage.removeItem(key);
+
+        setOrRemove(CONFIG.SYNC.ENDPOINT_KEY, endpoint.trim());
+        setOrRemove(CONFIG.SYNC.TOKEN_KEY, token.trim());
+        this.flush();
+        this.schedulePull();
+    }
+}
+
+// ===== REMINDER SCHEDULER =====
+// Checks for due reminders every CHECK_INTERVAL_MS and whenever appointments
+// change, announcing the count with a `bandra:reminders` event. Where staff
+// have allowed it, each newly due reminder is also shown as a browser
+// notification, once per computer.
+class ReminderScheduler {
+    constructor() {
+        this.storage = LocalStorageManager.getInstance();
+        this.timer = null;
+        this.init();
+    }
+
+    static isSupported() {
+        return typeof Notification === 'function';
+    }
+
+    static canNotify() {
+        return ReminderScheduler.isSupported() && Notification.permission === 'granted';
+    }
+
+    init() {
+        window.addEventListener('bandra:change', (event) => {
+            if (event.detail.type === 'appointments') this.check();
+        });
+        this.storage.ready.then(() => {
+            this.check();
+            this.timer = setInterval(() => this.check(), CONFIG.REMINDERS.CHECK_INTERVAL_MS);
+        });
+    }
+
+    getDue() {
+        return Reminders.getDue(this.storage.appointments);
+    }
+
+    check() {
+        const due = this.getDue();
+        window.dispatchEvent(new CustomEvent('bandra:reminders', { detail: { count: due.length } }));
+        if (ReminderScheduler.canNotify()) {
+            this.notify(due);
+        }
+    }
+
+    notify(due) {
+        const keys = due.map(({ appointment, lead }) => `${appointment.id}:${lead.key}`);
+        let notified;
+        try {
+            notified = new Set(JSON.parse(localStorage.getItem(CONFIG.REMINDERS.NOTIFIED_KEY)) || []);
+        } catch (error) {
+            notified = new Set();
+        }
+
+        due.forEach(({ appointment, lead }, index) => {
+            if (notified.has(keys[index])) return;
+            const notification = new Notification(`Reminder due: ${appointment.Name}`, {
+                body: `${appointment['Service Type'] || 'Appointment'}, ${Reminders.formatWhen(appointment)} (${lead.label})`,
+                tag: keys[index]
+            });
+            notification.onclick = () => window.focus();
+        });
+        // Only reminders still due are kept, so the list stays short
+        localStorage.setItem(CONFIG.REMINDERS.NOTIFIED_KEY, JSON.stringify(keys));
+    }
+
+    async requestPermission() {
+        if (!ReminderScheduler.isSupported()) return 'denied';
+        const permission = await Notification.requestPermission();
+        this.check();
+        return permission;
+    }
+}
+
+// ===== DATA MANAGEMENT INTERFACE =====
+class DataManagementInterface {
+    constructor(syncManager, reminderScheduler = null) {
+        this.storage = LocalStorageManager.getInstance();
+        this.syncManager = syncManager;
+        this.reminderScheduler = reminderScheduler;
+        this.activeTab = 'overview';
+        this.recordsType = 'measurements';
+        this.searchQuery = '';
+        this.searchSort = { key: 'timestamp', direction: 'desc' };
+        this.auditFilter = { type: '', action: '', operator: '', text: '', from: '', to: '' };
+        this.calendarView = 'week';
+        this.calendarDate = Utils.toShopDate(new Date());
+        // Last deletion, kept until the panel closes so it can be undone
+        this.lastDeleted = null;
+        this.createInterface();
+    }
+
+    createInterface() {
+        this.createButton();
+        this.addStyles();
+
+        // Keep an open panel current when another tab or the sync service saves
+        const refreshIfOpen = () => {
+            if (!document.querySelector('.data-management-panel')) return;
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => this.refreshPanel(), 250);
+        };
+        window.addEventListener('bandra:change', (event) => {
+            if (event.detail.source === 'remote') refreshIfOpen();
+        });
+        window.addEventListener('bandra:synced', refreshIfOpen);
+        window.addEventListener('bandra:reminders', (event) => this.updateReminderBadge(event.detail.count));
+    }
+
+    createButton() {
+        const button = Utils.createElement('button', 'data-management-btn', 
+            '<i class="fas fa-database"></i> Data Management <span class="reminder-badge" hidden></span>'
+        );
+        button.onclick = () => this.showManagementPanel();
+        document.body.appendChild(button);
+    }
+
+    updateReminderBadge(count) {
+        const badge = document.querySelector('.data-management-btn .reminder-badge');
+        if (!badge) return;
+        badge.hidden = count === 0;
+        badge.textContent = count;
+        badge.title = `${count} reminder(s) due`;
+    }
+
+    addStyles() {
+        const styles = `
+            .data-management-btn {
+                position: fixed;
+                bottom: 100px;
+                right: 30px;
+                background: linear-gradient(135deg, #6c757d, #495057);
+                color: white;
+                border: none;
+                padding: 12px 20px;
+                border-radius: 25px;
+                cursor: pointer;
+                box-shadow: 0 4px 15px rgba(0,0,0,0.2);
+                z-index: 999;
+                transition: all 0.3s ease;
+                font-size: 14px;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+            
+            .data-management-btn:hover {
+                transform: translateY(-2px);
+                box-shadow: 0 6px 20px rgba(0,0,0,0.3);
+            }
+            
+            .reminder-badge {
+                min-width: 20px;
+                padding: 1px 6px;
+                border-radius: 10px;
+                background: #dc3545;
+                font-size: 0.75rem;
+                font-weight: 600;
+            }
+            
+            .reminder-badge[hidden] {
+                display: none;
+            }
+            
+            .reminder-lead {
+                padding: 1px 8px;
+                border-radius: 10px;
+                background: #fff3cd;
+                font-size: 0.75rem;
+            }
+            
+            .data-management-panel {
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                background: white;
+                padding: 2rem;
+                border-radius: 12px;
+                box-shadow: 0 10px 40px rgba(0,0,0,0.3);
+                z-index: 10000;
+                max-width: 90%;
+                max-height: 90%;
+                overflow-y: auto;
+                display: none;
+            }
+            
+            .data-management-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0,0,0,0.5);
+                z-index: 9999;
+                display: none;
+            }
+            
+            .data-stats {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                gap: 1rem;
+                margin-bottom: 2rem;
+            }
+            
+            .stat-card {
+                background: #f8f9fa;
+                padding: 1rem;
+                border-radius: 8px;
+                text-align: center;
+                border: 1px solid #dee2e6;
+            }
+            
+            .stat-number {
+                font-size: 2rem;
+                font-weight: bold;
+                color: #d4af37;
+                display: block;
+            }
+            
+            .status-badge {
+                display: inline-block;
+                padding: 2px 10px;
+                border-radius: 999px;
+                font-size: 0.75rem;
+                font-weight: 600;
+                background: #e9ecef;
+                color: #495057;
+            }
+            
+            .status-badge.status-confirmed,
+            .status-badge.status-cutting,
+            .status-badge.status-stitching,
+            .status-badge.status-trial { background: #dbeafe; color: #1e40af; }
+            .status-badge.status-ready,
+            .status-badge.status-completed,
+            .status-badge.status-delivered { background: #dcfce7; color: #166534; }
+            .status-badge.status-cancelled,
+            .status-badge.status-no-show { background: #fee2e2; color: #991b1b; }
+            .status-badge.status-waitlisted { background: #ede9fe; color: #5b21b6; }
+            
+            .vault-controls {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                flex-wrap: wrap;
+                padding: 0.75rem;
+                margin-bottom: 1rem;
+                background: #f8f9fa;
+                border-radius: 8px;
+            }
+            
+            .panel-tabs {
+                display: flex;
+                gap: 0.25rem;
+                flex-wrap: wrap;
+                border-bottom: 2px solid #dee2e6;
+                margin-bottom: 1rem;
+            }
+            
+            .panel-tab {
+                background: none;
+                border: none;
+                padding: 0.5rem 1rem;
+                cursor: pointer;
+                font-weight: 500;
+                color: #6c757d;
+                border-bottom: 2px solid transparent;
+                margin-bottom: -2px;
+            }
+            
+            .panel-tab.active {
+                color: #8b1538;
+                border-bottom-color: #d4af37;
+            }
+            
+            .customer-profile {
+                padding: 0.5rem;
+                border-bottom: 1px solid #dee2e6;
+            }
+            
+            .customer-profile summary {
+                cursor: pointer;
+            }
+            
+            .measurement-compare-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 0.5rem 0;
+                font-size: 0.875rem;
+            }
+            
+            .measurement-compare-table th,
+            .measurement-compare-table td {
+                padding: 4px 8px;
+                border-bottom: 1px solid #dee2e6;
+                text-align: left;
+            }
+            
+            .measurement-compare-table tr.changed td {
+                background: #fff8e1;
+                font-weight: 600;
+            }
+            
+            .customer-profile input[type="checkbox"] {
+                width: auto;
+                margin-right: 0.5rem;
+            }
+            
+            .records-toolbar {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                flex-wrap: wrap;
+                margin-bottom: 0.75rem;
+            }
+            
+            .records-toolbar select {
+                width: auto;
+                padding: 4px 8px;
+            }
+            
+            .records-toolbar input[type="checkbox"],
+            .record-row input[type="checkbox"] {
+                width: auto;
+            }
+            
+            .record-row {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                padding: 0.5rem;
+                background: #f8f9fa;
+                margin-bottom: 0.5rem;
+                border-radius: 4px;
+            }
+            
+            .records-undo {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 0.5rem 0.75rem;
+                background: #fff8e1;
+                border-radius: 8px;
+                margin-bottom: 0.75rem;
+            }
+            
+            .search-results table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.875rem;
+            }
+            
+            .search-results th,
+            .search-results td {
+                padding: 4px 8px;
+                border-bottom: 1px solid #dee2e6;
+                text-align: left;
+            }
+            
+            .search-results th[data-search-sort] {
+                cursor: pointer;
+                white-space: nowrap;
+            }
+            
+            .calendar-legend {
+                display: flex;
+                gap: 1rem;
+                flex-wrap: wrap;
+                align-items: center;
+                font-size: 0.8rem;
+                margin-bottom: 0.5rem;
+            }
+            
+            .calendar-swatch {
+                display: inline-block;
+                width: 0.75rem;
+                height: 0.75rem;
+                border-radius: 2px;
+                margin-right: 0.25rem;
+                vertical-align: middle;
+            }
+            
+            .calendar-table {
+                width: 100%;
+                border-collapse: collapse;
+                table-layout: fixed;
+                font-size: 0.8rem;
+            }
+            
+            .calendar-table th,
+            .calendar-table td {
+                border: 1px solid #dee2e6;
+                padding: 2px;
+                vertical-align: top;
+            }
+            
+            .calendar-table th:first-child {
+                width: 4rem;
+            }
+            
+            .calendar-month th:first-child {
+                width: auto;
+            }
+            
+            .calendar-month td {
+                height: 5.5rem;
+            }
+            
+            .calendar-cell.closed,
+            .calendar-cell.outside {
+                background: #f1f3f5;
+            }
+            
+            .calendar-table .today {
+                background: #fffbea;
+            }
+            
+            .calendar-cell.drop-target {
+                outline: 2px dashed #d4af37;
+                outline-offset: -2px;
+            }
+            
+            .calendar-date {
+                font-weight: 600;
+            }
+            
+            .calendar-event {
+                color: white;
+                border-radius: 4px;
+                border-left: 4px solid rgba(0,0,0,0.25);
+                padding: 1px 4px;
+                margin-bottom: 2px;
+                cursor: pointer;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            
+            .calendar-event[draggable="true"] {
+                cursor: grab;
+            }
+            
+            .calendar-event.status-pending { border-left-style: dashed; opacity: 0.85; }
+            .calendar-event.status-confirmed { border-left-color: #1e40af; }
+            .calendar-event.status-completed { border-left-color: #166534; }
+            .calendar-event.status-cancelled,
+            .calendar-event.status-no-show { opacity: 0.5; text-decoration: line-through; }
+            
+            .audit-entry {
+                padding: 0.5rem;
+                background: #f8f9fa;
+                margin-bottom: 0.5rem;
+                border-radius: 4px;
+            }
+            
+            .audit-entry ul {
+                margin: 0.25rem 0 0 1.25rem;
+                font-size: 0.875rem;
+            }
+            
+            .audit-action {
+                padding: 1px 8px;
+                border-radius: 10px;
+                background: #e9ecef;
+                font-size: 0.75rem;
+            }
+            
+            .records-edit form {
+                padding: 0.75rem;
+                border: 1px solid #dee2e6;
+                border-radius: 8px;
+                margin-bottom: 1rem;
+            }
+            
+            .status-actions {
+                display: flex;
+                gap: 0.25rem;
+                flex-wrap: wrap;
+                margin-top: 0.25rem;
+            }
+            
+            .status-actions button {
+                padding: 2px 10px;
+                font-size: 0.75rem;
+                border: 1px solid #d4af37;
+                background: white;
+                color: #8b1538;
+                border-radius: 999px;
+                cursor: pointer;
+            }
+        `;
+        
+        const styleSheet = document.createElement('style');
+        styleSheet.textContent = styles;
+        document.head.appendChild(styleSheet);
+    }
+
+    async showManagementPanel() {
+        if (!await DataVault.ensureUnlocked()) return;
+        if (!AuditLog.getOperator() && !this.askOperator()) return;
+        await this.storage.ready;
+        const stats = this.storage.getStats();
+        const syncStatus = this.syncManager ? await this.syncManager.getStatus() : null;
+        this.auditEntries = await this.storage.loadAuditLog();
+        const dueReminders = Reminders.getDue(this.storage.appointments);
+        const closedBookings = Closures.findAffected(this.storage.appointments);
+        const waiting = Waitlist.getWaiting(this.storage.appointments);
+        const movedUp = Waitlist.getToNotify(this.storage.appointments);
+        
+        const panel = Utils.createElement('div', 'data-management-panel');
+        panel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+                <h3>Data Management</h3>
+                <small>
+                    Working as <strong>${Utils.escapeHtml(AuditLog.getOperator())}</strong>
+                    <button type="button" class="btn btn-sm btn-secondary" style="padding: 2px 10px;" data-operator-change>Change</button>
+                </small>
+                <button type="button" class="panel-close-btn"
+                        style="background: none; border: none; font-size: 1.5rem; cursor: pointer;">×</button>
+            </div>
+            
+            <div class="panel-tabs">
+                <button type="button" class="panel-tab" data-tab="overview">Overview</button>
+                <button type="button" class="panel-tab" data-tab="records">Records</button>
+                <button type="button" class="panel-tab" data-tab="calendar">Calendar</button>
+                <button type="button" class="panel-tab" data-tab="reminders">Reminders${dueReminders.length ? ` (${dueReminders.length})` : ''}</button>
+                <button type="button" class="panel-tab" data-tab="waitlist">Waitlist (${waiting.length}${movedUp.length ? `, ${movedUp.length} to tell` : ''})</button>
+                <button type="button" class="panel-tab" data-tab="closures">Closures${closedBookings.length ? ` (${closedBookings.length} to move)` : ''}</button>
+                <button type="button" class="panel-tab" data-tab="search">Search</button>
+                <button type="button" class="panel-tab" data-tab="customers">Customers (${this.storage.customers.length})</button>
+                <button type="button" class="panel-tab" data-tab="audit">Change Log</button>
+            </div>
+            
+            <div class="panel-tab-content" data-tab="overview">
+            <div class="data-stats">
+                <div class="stat-card">
+                    <div class="stat-number">${stats.totalMeasurements}</div>
+                    <div>Measurements</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-number">${stats.totalAppointments}</div>
+                    <div>Appointments</div>
+                </div>
+            </div>
+            
+            <div style="display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem;">
+                <button onclick="window.exportData('measurements', 'json')" class="btn btn-sm btn-secondary">
+                    <i class="fas fa-download"></i> Export Measurements (JSON)
+                </button>
+                <button onclick="window.exportData('appointments', 'json')" class="btn btn-sm btn-secondary">
+                    <i class="fas fa-download"></i> Export Appointments (JSON)
+                </button>
+                <button type="button" class="btn btn-sm btn-secondary csv-export-btn">
+                    <i class="fas fa-file-csv"></i> Export CSV
+                </button>
+                <button onclick="window.exportData('appointments', 'ics')" class="btn btn-sm btn-secondary">
+                    <i class="fas fa-calendar-alt"></i> Export Appointments (Calendar)
+                </button>
+                <button onclick="window.viewAllData()" class="btn btn-sm btn-secondary">
+                    <i class="fas fa-eye"></i> View All Data
+                </button>
+                <button onclick="window.createBackup()" class="btn btn-sm btn-secondary">
+                    <i class="fas fa-save"></i> Create Backup
+                </button>
+                <button type="button" class="btn btn-sm btn-secondary import-backup-btn">
+                    <i class="fas fa-upload"></i> Restore Backup
+                </button>
+                <input type="file" class="import-file-input" accept=".json,application/json" style="display: none;">
+                <button type="button" class="btn btn-sm btn-secondary import-csv-btn">
+                    <i class="fas fa-file-import"></i> Import CSV
+                </button>
+                <input type="file" class="import-csv-input" accept=".csv,text/csv" style="display: none;">
+            </div>
+            
+            <div class="csv-export" style="display: none;">${this.renderCsvExportOptions()}</div>
+            <div class="import-preview"></div>
+            
+            ${syncStatus ? this.renderSyncControls(syncStatus) : ''}
+            
+            <div class="vault-controls">
+                <span>
+                    <i class="fas ${DataVault.isEnabled() ? 'fa-lock' : 'fa-lock-open'}"></i>
+                    Encryption: <strong>${DataVault.isEnabled() ? 'On' : 'Off'}</strong>
+                </span>
+                ${DataVault.isEnabled() ? `
+                    <button type="button" class="btn btn-sm btn-secondary" data-vault-action="lock">Lock Now</button>
+                    <button type="button" class="btn btn-sm btn-secondary" data-vault-action="disable">Turn Off</button>
+                ` : `
+                    <button type="button" class="btn btn-sm btn-secondary" data-vault-action="enable"
+                            ${DataVault.isSupported() ? '' : 'disabled title="This browser does not support encryption"'}>Encrypt Data</button>
+                `}
+            </div>
+            
+            <div>
+                <h4>Recent Submissions</h4>
+                <div style="max-height: 300px; overflow-y: auto;">
+                    ${this.renderRecentData(stats)}
+                </div>
+            </div>
+            </div>
+            
+            <div class="panel-tab-content" data-tab="records">
+                ${this.renderRecords()}
+            </div>
+            
+            <div class="panel-tab-content" data-tab="calendar">
+                ${this.renderCalendar()}
+            </div>
+            
+            <div class="panel-tab-content" data-tab="reminders">
+                ${this.renderReminders(dueReminders)}
+            </div>
+            
+            <div class="panel-tab-content" data-tab="waitlist">
+                ${this.renderWaitlist(waiting, movedUp)}
+            </div>
+            
+            <div class="panel-tab-content" data-tab="closures">
+                ${this.renderClosures(closedBookings)}
+            </div>
+            
+            <div class="panel-tab-content" data-tab="search">
+                ${this.renderSearch()}
+            </div>
+            
+            <div class="panel-tab-content" data-tab="customers">
+                ${this.renderCustomers()}
+            </div>
+            
+            <div class="panel-tab-content" data-tab="audit">
+                ${this.renderAuditLog()}
+            </div>
+        `;
+        
+        const overlay = Utils.createElement('div', 'data-management-overlay');
+        overlay.onclick = () => this.closeManagementPanel();
+        
+        document.body.appendChild(overlay);
+        document.body.appendChild(panel);
+        
+        overlay.style.display = 'block';
+        panel.style.display = 'block';
+
+        panel.querySelector('.panel-close-btn').addEventListener('click', () => this.closeManagementPanel());
+        panel.querySelector('[data-operator-change]').addEventListener('click', async () => {
+            if (this.askOperator()) await this.refreshPanel();
+        });
+
+        this.bindTabs(panel);
+        this.bindImportControls(panel);
+        this.bindCsvControls(panel);
+        this.bindStatusControls(panel);
+        this.bindRecordControls(panel);
+        this.bindCalendarControls(panel);
+        this.bindReminderControls(panel);
+        this.bindWaitlistControls(panel);
+        this.bindClosureControls(panel);
+        this.bindSearchControls(panel);
+        this.bindCustomerControls(panel);
+        this.bindAuditControls(panel);
+        this.bindVaultControls(panel);
+        this.bindSyncControls(panel);
+    }
+
+    closeManagementPanel() {
+        this.lastDeleted = null;
+        document.querySelectorAll('.data-management-panel, .data-management-overlay')
+            .forEach(element => element.remove());
+    }
+
+    renderSyncControls(status) {
+        let summary = 'Off';
+        if (status.configured) {
+            summary = status.pending > 0 ? `${status.pending} change(s) waiting to send` : 'Up to date';
+        }
+
+        return `
+            <div class="vault-controls sync-controls">
+                <span><i class="fas fa-cloud"></i> Sync: <strong>${summary}</strong></span>
+                ${status.lastPull ? `<small>Last received ${new Date(status.lastPull).toLocaleString()}</small>` : ''}
+                ${status.configured ? '<button type="button" class="btn btn-sm btn-secondary" data-sync-action="now">Sync Now</button>' : ''}
+                ${status.lastError ? `<small style="color: var(--error); width: 100%;">${Utils.escapeHtml(status.lastError)}</small>` : ''}
+                ${status.rejected.length ? this.renderRejectedChanges(status.rejected) : ''}
+                <details style="width: 100%;">
+                    <summary><small>Sync settings</small></summary>
+                    <div class="form-group" style="margin: 0.5rem 0;">
+                        <input type="url" name="syncEndpoint" placeholder="Sync service URL" value="${Utils.escapeHtml(status.endpoint)}">
+                    </div>
+                    <div class="form-group" style="margin-bottom: 0.5rem;">
+                        <input type="password" name="syncToken" placeholder="Staff token (needed to receive submissions)"
+                               value="${Utils.escapeHtml(SyncManager.getToken())}" autocomplete="off">
+                    </div>
+                    <button type="button" class="btn btn-sm btn-secondary" data-sync-action="save">Save Sync Settings</button>
+                </details>
+            </div>
+        `;
+    }
+
+    renderRejectedChanges(items) {
+        const types = { measurements: 'Measurement', appointments: 'Appointment', customers: 'Customer' };
+        return `
+            <details style="width: 100%;">
+                <summary><small style="color: var(--error);">${items.length} change(s) refused by the sync service</small></summary>
+                <ul style="margin: 0.5rem 0 0 1.25rem; font-size: 0.875rem;">
+                    ${items.map(item => `
+                        <li style="margin-bottom: 0.25rem;">
+                            ${types[item.type]}${item.record.deleted ? ' deletion' : ''}: <strong>${Utils.escapeHtml(item.record.Name || item.record.id)}</strong>
+                            - ${Utils.escapeHtml(item.lastError)}
+                            <button type="button" class="btn btn-sm btn-secondary" data-sync-rejected="retry" data-id="${Utils.escapeHtml(item.id)}">Send Again</button>
+                            <button type="button" class="btn btn-sm btn-secondary" data-sync-rejected="discard" data-id="${Utils.escapeHtml(item.id)}">Discard</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    bindSyncControls(panel) {
+        panel.querySelectorAll('[data-sync-rejected]').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                if (button.dataset.syncRejected === 'retry') {
+                    await this.storage.retryRejected([button.dataset.id]);
+                } else {
+                    await this.storage.discardRejected([button.dataset.id]);
+                }
+                await this.refreshPanel();
+            });
+        });
+
+        panel.querySelectorAll('[data-sync-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+
+                if (button.dataset.syncAction === 'save') {
+                    this.syncManager.updateSettings(
+                        panel.querySelector('[name="syncEndpoint"]').value,
+                        panel.querySelector('[name="syncToken"]').value
+                    );
+                } else {
+                    await this.syncManager.flush();
+                    await this.syncManager.pull();
+                }
+
+                await this.refreshPanel();
+            });
+        });
+    }
+
+    bindVaultControls(panel) {
+        panel.querySelectorAll('[data-vault-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const action = button.dataset.vaultAction;
+
+                if (action === 'lock') {
+                    // Reload so no decrypted copy stays in memory
+                    DataVault.lock();
+                    window.location.reload();
+                    return;
+                }
+
+                if (action === 'enable') {
+                    const enabled = await DataVault.askPassphrase({
+                        title: 'Encrypt customer data',
+                        message: 'Choose a shop passphrase. It cannot be recovered: without it, stored data and encrypted backups are unreadable.',
+                        confirm: true,
+                        onSubmit: async (passphrase) => {
+                            if (!await this.storage.enableEncryption(passphrase)) {
+                                throw new Error('Could not encrypt existing data');
+                            }
+                        }
+                    });
+                    if (enabled) await this.refreshPanel();
+                    return;
+                }
+
+                if (action === 'disable' &&
+                    confirm('Store customer data unencrypted on this computer again?')) {
+                    if (!await this.storage.disableEncryption()) {
+                        alert('Could not decrypt stored data. Encryption is still on.');
                     }
-                    break;
+                    await this.refreshPanel();
+                }
+            });
+        });
+    }
+
+    // Every change made from the panel is logged under this name
+    askOperator() {
+        const name = prompt('Enter your name for the change log:', AuditLog.getOperator());
+        if (!name || !name.trim()) return false;
+        AuditLog.setOperator(name);
+        return true;
+    }
+
+    async refreshPanel() {
+        const undo = this.lastDeleted;
+        this.closeManagementPanel();
+        this.lastDeleted = undo;
+        await this.showManagementPanel();
+    }
+
+    bindTabs(panel) {
+        const showTab = (tab) => {
+            this.activeTab = tab;
+            panel.querySelectorAll('.panel-tab').forEach(button => {
+                button.classList.toggle('active', button.dataset.tab === tab);
+            });
+            panel.querySelectorAll('.panel-tab-content').forEach(content => {
+                content.style.display = content.dataset.tab === tab ? 'block' : 'none';
+            });
+        };
+
+        panel.querySelectorAll('.panel-tab').forEach(button => {
+            button.addEventListener('click', () => showTab(button.dataset.tab));
+        });
+        showTab(this.activeTab);
+    }
+
+    bindImportControls(panel) {
+        const fileInput = panel.querySelector('.import-file-input');
+        const previewDiv = panel.querySelector('.import-preview');
+
+        panel.querySelector('.import-backup-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const incoming = await this.storage.parseImportFile(await file.text(), file.name);
+                this.renderImportPreview(previewDiv, incoming, file.name);
+            } catch (error) {
+                console.error('Error reading backup:', error);
+                Utils.showError(previewDiv, Utils.escapeHtml(error.message));
             }
+        });
+    }
+
+    renderImportPreview(container, incoming, fileName) {
+        const preview = this.storage.previewImport(incoming);
+        const total = incoming.measurements.length + incoming.appointments.length + incoming.customers.length;
+        const fromCsv = incoming.source === 'csv';
+
+        if (total === 0) {
+            Utils.showError(container, 'No valid records were found in this file.');
+            return;
         }
 
-        // Apply visual feedback
-        if (isValid && value) {
-            field.classList.add('valid');
-        } else if (!isValid) {
-            field.classList.add('invalid');
-            this.showFieldError(field, errorMessage);
-        }
+        const renderList = (records) => records.length === 0 ? '' : `
+            <ul style="margin: 0.25rem 0 0.5rem 1.25rem; font-size: 0.875rem;">
+                ${records.map(record => `
+                    <li>${Utils.escapeHtml(record.Name)} - ${new Date(record.timestamp).toLocaleDateString()}</li>
+                `).join('')}
+            </ul>
+        `;
+
+        const renderType = (type, label) => {
+            const result = preview[type];
+            return `
+                <div style="margin-bottom: 0.75rem;">
+                    <strong>${label}:</strong>
+                    ${result.added.length} new, ${result.changed.length} changed, ${result.duplicates.length} duplicate
+                    ${result.added.length ? '<div><em>New</em></div>' + renderList(result.added) : ''}
+                    ${result.changed.length ? '<div><em>Changed (the backup version will be kept)</em></div>' + renderList(result.changed) : ''}
+                </div>
+            `;
+        };
+
+        const customers = preview.customers;
+        const matched = customers.changed.length + customers.duplicates.length;
+        const renderCustomers = () => incoming.customers.length === 0 ? '' : `
+            <div style="margin-bottom: 0.75rem;">
+                <strong>Customers:</strong>
+                ${customers.added.length} new, ${matched} matched to existing customers
+                ${customers.added.length ? '<div><em>New</em></div>' + renderList(customers.added) : ''}
+            </div>
+        `;
+
+        container.innerHTML = `
+            <div style="padding: 1rem; background: #f8f9fa; border-radius: 8px; margin-bottom: 1rem;">
+                <h4>${fromCsv ? 'Import from' : 'Restore from'} ${Utils.escapeHtml(fileName)}</h4>
+                ${incoming.backupDate ? `<p style="margin: 0 0 0.5rem 0;"><small>Backup created ${new Date(incoming.backupDate).toLocaleString()}</small></p>` : ''}
+                ${incoming.types.includes('measurements') ? renderType('measurements', 'Measurements') : ''}
+                ${incoming.types.includes('appointments') ? renderType('appointments', 'Appointments') : ''}
+                ${renderCustomers()}
+                ${incoming.types.includes('closures') ? `<p style="margin: 0 0 0.5rem 0;"><small>${incoming.closures.length} closure(s) in the backup; Merge adds the ones not already saved.</small></p>` : ''}
+                ${!fromCsv && !incoming.types.includes('customers') ? `<p style="margin: 0 0 0.5rem 0;"><small>This file only holds ${this.describeImportTypes(incoming.types)}; Replace leaves your other data as it is.</small></p>` : ''}
+                ${incoming.audit.length ? `<p style="margin: 0 0 0.5rem 0;"><small>Change log entries in the backup that are not in this one (${incoming.audit.length} in total) will be added.</small></p>` : ''}
+                ${incoming.invalid ? `<p style="color: var(--error);"><small>${incoming.invalid} invalid record(s) will be skipped.</small></p>` : ''}
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <button type="button" class="btn btn-sm btn-primary" data-import-mode="merge">
+                        <i class="fas fa-code-merge"></i> ${fromCsv ? 'Import' : 'Merge'}
+                    </button>
+                    ${fromCsv ? '' : `
+                        <button type="button" class="btn btn-sm btn-secondary" data-import-mode="replace">
+                            <i class="fas fa-exchange-alt"></i> ${incoming.types.includes('customers') ? 'Replace All' : `Replace ${this.describeImportTypes(incoming.types)}`}
+                        </button>
+                    `}
+                    <button type="button" class="btn btn-sm btn-secondary" data-import-mode="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        container.style.display = 'block';
+
+        container.querySelectorAll('[data-import-mode]').forEach(button => {
+            button.addEventListener('click', () => this.applyImport(container, incoming, button.dataset.importMode));
+        });
+    }
+
+    async applyImport(container, incoming, mode) {
+        if (mode === 'cancel') {
+            Utils.clearMessage(container);
+            return;
+        }
+
+        const types = this.describeImportTypes(incoming.types);
+        if (mode === 'replace' &&
+            !confirm(`Replace ALL saved ${types} with the contents of this backup?`)) {
+            return;
+        }
+
+        const result = await this.storage.importData(incoming, mode);
+        if (!result.success) {
+            Utils.showError(container, 'Import failed. Your existing data was not changed.');
+            return;
+        }
+
+        await this.refreshPanel();
+        const message = incoming.source === 'csv' ? 'CSV rows imported into your data.'
+            : mode === 'replace' ? `${types.charAt(0).toUpperCase()}${types.slice(1)} replaced from backup.` : 'Backup merged into your data.';
+        Utils.showSuccess(document.querySelector('.data-management-panel .import-preview'), message);
+    }
+
+    renderCsvExportOptions(type = 'measurements') {
+        const records = this.storage[type];
+        const columns = records.length ? CsvFormat.getColumns(records) : CONFIG.CSV.COLUMNS;
+        const types = { measurements: 'Measurements', appointments: 'Appointments', customers: 'Customers' };
+
+        return `
+            <div style="padding: 1rem; background: #f8f9fa; border-radius: 8px; margin-bottom: 1rem;">
+                <h4>Export CSV</h4>
+                <div class="records-toolbar">
+                    <select data-csv-type>
+                        ${Object.entries(types).map(([value, label]) => `
+                            <option value="${value}" ${value === type ? 'selected' : ''}>${label} (${this.storage[value].length})</option>
+                        `).join('')}
+                    </select>
+                    <select data-csv-date-field>
+                        <option value="timestamp">Submitted</option>
+                        ${type === 'appointments' ? '<option value="Preferred Date">Preferred date</option>' : ''}
+                    </select>
+                    <label>from <input type="date" data-csv-from></label>
+                    <label>to <input type="date" data-csv-to></label>
+                    ${type === 'measurements' ? this.renderUnitSelect('data-csv-unit') : ''}
+                </div>
+                <div style="display: flex; flex-wrap: wrap; gap: 0.25rem 1rem; margin-bottom: 0.75rem; font-size: 0.875rem;">
+                    ${columns.map(column => `
+                        <label><input type="checkbox" data-csv-column="${Utils.escapeHtml(column)}" checked style="width: auto;"> ${Utils.escapeHtml(column)}</label>
+                    `).join('')}
+                </div>
+                <label style="font-size: 0.875rem;">
+                    <input type="checkbox" data-csv-bom ${CONFIG.CSV.BOM ? 'checked' : ''} style="width: auto;">
+                    Open correctly in Excel (UTF-8 byte order mark)
+                </label>
+                <div style="margin-top: 0.75rem;">
+                    <button type="button" class="btn btn-sm btn-primary" data-csv-download>
+                        <i class="fas fa-download"></i> Download CSV
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderCsvMapping(type, headers, rows) {
+        const fields = LocalStorageManager.getImportFields(type);
+        const label = (field) => field === 'timestamp' ? 'Date added' : field;
+
+        return `
+            <table class="measurement-compare-table">
+                <tr><th>Column</th><th>First row</th><th>Field</th></tr>
+                ${headers.map((header, column) => {
+                    const guess = CsvFormat.guessField(header, fields);
+                    return `
+                        <tr>
+                            <td>${Utils.escapeHtml(header)}</td>
+                            <td><small>${Utils.escapeHtml(rows[0][column] || '')}</small></td>
+                            <td>
+                                <select data-csv-map="${column}" style="padding: 2px 6px;">
+                                    <option value="">Skip</option>
+                                    ${fields.map(field => `
+                                        <option value="${Utils.escapeHtml(field)}" ${field === guess ? 'selected' : ''}>${label(field)}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </table>
+        `;
+    }
+
+    // Columns are mapped to fields first, then the usual import preview is shown
+    showCsvImport(container, { headers, rows }, fileName) {
+        const guessed = headers.map(header =>
+            CsvFormat.guessField(header, [...CONFIG.MEASUREMENTS.FIELDS, 'Service Type', 'Preferred Date']));
+        const initialType = guessed.some(field => CONFIG.MEASUREMENTS.FIELDS.includes(field)) ? 'measurements'
+            : guessed.some(Boolean) ? 'appointments' : 'customers';
+        // Our own exports name the unit in the headings, e.g. "Bust (cm)"
+        const headingUnit = Object.keys(CONFIG.MEASUREMENTS.UNITS)
+            .find(unit => headers.some(header => header.toLowerCase().includes(`(${unit})`)));
+
+        container.innerHTML = `
+            <div style="padding: 1rem; background: #f8f9fa; border-radius: 8px; margin-bottom: 1rem;">
+                <h4>Import ${Utils.escapeHtml(fileName)}</h4>
+                <p style="margin: 0 0 0.5rem 0;"><small>${rows.length} row(s). Choose what each column holds.</small></p>
+                <label>Each row is a
+                    <select data-csv-import-type style="width: auto; padding: 2px 6px;">
+                        <option value="customers">customer</option>
+                        <option value="measurements">measurement set</option>
+                        <option value="appointments">appointment</option>
+                    </select>
+                </label>
+                <span data-csv-import-unit ${initialType === 'measurements' ? '' : 'hidden'}>
+                    ${this.renderUnitSelect('data-csv-unit', headingUnit || CONFIG.MEASUREMENTS.UNIT)}
+                </span>
+                <div class="csv-mapping">${this.renderCsvMapping(initialType, headers, rows)}</div>
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <button type="button" class="btn btn-sm btn-primary" data-csv-action="preview">Preview Import</button>
+                    <button type="button" class="btn btn-sm btn-secondary" data-csv-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        container.style.display = 'block';
+
+        const typeSelect = container.querySelector('[data-csv-import-type]');
+        typeSelect.value = initialType;
+        typeSelect.addEventListener('change', () => {
+            container.querySelector('.csv-mapping').innerHTML = this.renderCsvMapping(typeSelect.value, headers, rows);
+            container.querySelector('[data-csv-import-unit]').hidden = typeSelect.value !== 'measurements';
+        });
+
+        container.querySelector('[data-csv-action="cancel"]').addEventListener('click', () => Utils.clearMessage(container));
+        container.querySelector('[data-csv-action="preview"]').addEventListener('click', () => {
+            const mapping = headers.map((header, column) =>
+                container.querySelector(`[data-csv-map="${column}"]`).value);
+            if (!mapping.includes('Name')) {
+                alert('Choose the column that holds the customer name.');
+                return;
+            }
+            const incoming = this.storage.recordsFromCSV(typeSelect.value, rows, mapping, {
+                unit: container.querySelector('[data-csv-unit]').value
+            });
+            this.renderImportPreview(container, incoming, fileName);
+        });
+    }
+
+    bindCsvControls(panel) {
+        const exportDiv = panel.querySelector('.csv-export');
+        const previewDiv = panel.querySelector('.import-preview');
+        const csvInput = panel.querySelector('.import-csv-input');
+
+        const bindExport = () => {
+            exportDiv.querySelector('[data-csv-type]').addEventListener('change', (event) => {
+                exportDiv.innerHTML = this.renderCsvExportOptions(event.target.value);
+                bindExport();
+            });
+
+            exportDiv.querySelector('[data-csv-download]').addEventListener('click', () => {
+                const columns = Array.from(exportDiv.querySelectorAll('[data-csv-column]:checked'))
+                    .map(checkbox => checkbox.dataset.csvColumn);
+                if (columns.length === 0) {
+                    alert('Choose at least one column.');
+                    return;
+                }
+
+                this.storage.exportToCSV(exportDiv.querySelector('[data-csv-type]').value, {
+                    columns,
+                    from: exportDiv.querySelector('[data-csv-from]').value,
+                    to: exportDiv.querySelector('[data-csv-to]').value,
+                    dateField: exportDiv.querySelector('[data-csv-date-field]').value,
+                    bom: exportDiv.querySelector('[data-csv-bom]').checked,
+                    unit: exportDiv.querySelector('[data-csv-unit]')?.value
+                });
+            });
+        };
+
+        panel.querySelector('.csv-export-btn').addEventListener('click', () => {
+            exportDiv.style.display = exportDiv.style.display === 'none' ? 'block' : 'none';
+        });
+        bindExport();
 
-        this.errors.set(name, { isValid, errorMessage });
-        return isValid;
+        panel.querySelector('.import-csv-btn').addEventListener('click', () => csvInput.click());
+        csvInput.addEventListener('change', async () => {
+            const file = csvInput.files[0];
+            csvInput.value = '';
+            if (!file) return;
+
+            try {
+                this.showCsvImport(previewDiv, this.storage.parseCSVFile(await file.text()), file.name);
+            } catch (error) {
+                console.error('Error reading CSV:', error);
+                Utils.showError(previewDiv, Utils.escapeHtml(error.message));
+            }
+        });
     }
 
-    showFieldError(field, message) {
-        this.removeFieldError(field);
+    describeImportTypes(types) {
+        return types.length > 1 ? `${types.slice(0, -1).join(', ')} and ${types[types.length - 1]}` : types[0];
+    }
+
+    renderRecentData(stats) {
+        let html = '<div style="margin-bottom: 1rem;"><strong>Recent Measurements:</strong></div>';
         
-        const errorDiv = Utils.createElement('div', 'field-error-message', message);
-        field.parentNode.appendChild(errorDiv);
+        stats.recentMeasurements.forEach(item => {
+            html += `
+                <div style="padding: 0.5rem; background: #f8f9fa; margin-bottom: 0.5rem; border-radius: 4px;">
+                    <strong>${Utils.escapeHtml(item.Name)}</strong> - ${new Date(item.timestamp).toLocaleDateString()}
+                    ${this.renderStatusBadge(item)}
+                    <br><small>Bust: ${MeasurementHistory.formatValue(item.Bust)}, Waist: ${MeasurementHistory.formatValue(item.Waist)}</small>
+                    ${this.renderStatusActions('measurements', item)}
+                </div>
+            `;
+        });
+        
+        html += '<div style="margin: 1rem 0;"><strong>Recent Appointments:</strong></div>';
+        
+        stats.recentAppointments.forEach(item => {
+            html += `
+                <div style="padding: 0.5rem; background: #f8f9fa; margin-bottom: 0.5rem; border-radius: 4px;">
+                    <strong>${Utils.escapeHtml(item.Name)}</strong> - ${new Date(item.timestamp).toLocaleDateString()}
+                    ${this.renderStatusBadge(item)}
+                    <br><small>${Utils.escapeHtml(item['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(item))}</small>
+                    ${this.renderStatusActions('appointments', item)}
+                </div>
+            `;
+        });
+        
+        return html;
     }
 
-    removeFieldError(field) {
-        const existingError = field.parentNode.querySelector('.field-error-message');
-        if (existingError) {
-            existingError.remove();
-        }
+    renderStatusBadge(item) {
+        const last = (item.statusHistory || []).slice(-1)[0];
+        const since = last ? ` title="Since ${new Date(last.at).toLocaleString()}"` : '';
+        return `<span class="status-badge status-${Utils.escapeHtml(item.status)}"${since}>${Utils.escapeHtml(StatusWorkflow.getLabel(item.status))}</span>`;
     }
 
-    getFieldLabel(name) {
-        const labels = {
-            'Name': 'Name',
-            'Email': 'Email address',
-            'Contact Number': 'Phone number',
-            'Preferred Date': 'Preferred date',
-            'Service Type': 'Service type'
-        };
-        return labels[name] || name;
+    renderStatusActions(type, item) {
+        const next = StatusWorkflow.getAllowedTransitions(type, item.status);
+        if (next.length === 0) return '';
+
+        return `
+            <div class="status-actions">
+                ${next.map(status => `
+                    <button type="button" data-status-type="${type}" data-status-id="${Utils.escapeHtml(item.id)}" data-status-to="${status}">
+                        ${StatusWorkflow.getLabel(status)}
+                    </button>
+                `).join('')}
+            </div>
+        `;
     }
 
-    validateAll() {
-        let allValid = true;
-        this.fields.forEach(field => {
-            if (!this.validateField(field)) {
-                allValid = false;
-            }
+    bindStatusControls(panel) {
+        panel.querySelectorAll('[data-status-to]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const { statusType, statusId, statusTo } = button.dataset;
+                button.disabled = true;
+
+                const result = await this.storage.updateStatus(statusType, statusId, statusTo);
+                if (!result.success) {
+                    button.disabled = false;
+                    alert(result.error.message);
+                    return;
+                }
+
+                await this.refreshPanel();
+            });
         });
-        return allValid;
     }
 
-    getErrors() {
-        return Array.from(this.errors.entries()).filter(([, error]) => !error.isValid);
+    renderRecords() {
+        const type = this.recordsType;
+        const records = [...this.storage[type]].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const statuses = Object.keys(CONFIG.WORKFLOW[type].transitions);
+        const undo = this.lastDeleted ? `
+            <div class="records-undo">
+                <span>Deleted ${this.lastDeleted.records.length} ${this.lastDeleted.type}.</span>
+                <button type="button" class="btn btn-sm btn-secondary" data-records-action="undo">Undo</button>
+            </div>
+        ` : '';
+
+        return `
+            ${undo}
+            <div class="records-toolbar">
+                <select data-records-type>
+                    ${['measurements', 'appointments'].map(option => `
+                        <option value="${option}" ${option === type ? 'selected' : ''}>
+                            ${option === 'measurements' ? 'Measurements' : 'Appointments'} (${this.storage[option].length})
+                        </option>
+                    `).join('')}
+                </select>
+                <label><input type="checkbox" data-records-select-all> All</label>
+                <select data-records-status>
+                    ${statuses.map(status => `<option value="${status}">${StatusWorkflow.getLabel(status)}</option>`).join('')}
+                </select>
+                <button type="button" class="btn btn-sm btn-secondary" data-records-action="status">Set Status</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-records-action="export">Export Selected</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-records-action="delete">Delete Selected</button>
+                ${type === 'measurements' ? this.renderUnitSelect('data-display-unit') : ''}
+            </div>
+            <div class="records-edit"></div>
+            <div style="max-height: 400px; overflow-y: auto;">
+                ${records.length === 0 ? `<p>No ${type} saved yet.</p>` : records.map(item => this.renderRecordRow(type, item)).join('')}
+            </div>
+        `;
     }
-}
 
-// ===== FORM SUBMISSION =====
-class FormSubmission {
-    constructor(formId, formType) {
-        this.form = document.getElementById(formId);
-        this.formType = formType;
-        this.storage = new LocalStorageManager();
-        this.statusDiv = this.form.querySelector('.form-status');
-        this.submitBtn = this.form.querySelector('button[type="submit"]');
-        this.validator = new FormValidator(this.form);
-        this.autoSave = new AutoSave(this.form, formType);
-        this.init();
+    // Measurement units to choose from, e.g. for display or a CSV file
+    renderUnitSelect(attribute, selected = MeasurementUnits.getDisplayUnit()) {
+        return `
+            <label>in
+                <select ${attribute}>
+                    ${Object.entries(CONFIG.MEASUREMENTS.UNITS).map(([unit, { name }]) => `
+                        <option value="${unit}" ${unit === selected ? 'selected' : ''}>${name}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
     }
 
-    init() {
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-        this.autoSave.loadSavedData();
+    renderRecordRow(type, item) {
+        const summary = type === 'measurements'
+            ? `${Utils.escapeHtml(item['Blouse Style'] || '')} ${MeasurementSchema.describe(item)}`
+            : `${Utils.escapeHtml(item['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(item))}`;
+
+        return `
+            <div class="record-row">
+                <input type="checkbox" data-record-select="${Utils.escapeHtml(item.id)}">
+                <div style="flex: 1;">
+                    <strong>${Utils.escapeHtml(item.Name)}</strong> - ${new Date(item.timestamp).toLocaleDateString()}
+                    ${item.reference ? `<small>${Utils.escapeHtml(item.reference)}</small>` : ''}
+                    ${this.renderStatusBadge(item)}
+                    <br><small>${summary}</small>
+                </div>
+                ${type === 'appointments' ? `
+                    <button type="button" class="btn btn-sm btn-secondary" data-record-ics="${Utils.escapeHtml(item.id)}" title="Download calendar event">
+                        <i class="fas fa-calendar-plus"></i>
+                    </button>
+                ` : `
+                    <button type="button" class="btn btn-sm btn-secondary" data-record-job-card="${Utils.escapeHtml(item.id)}" title="Print job card">
+                        <i class="fas fa-print"></i>
+                    </button>
+                `}
+                <button type="button" class="btn btn-sm btn-secondary" data-record-edit="${Utils.escapeHtml(item.id)}">Edit</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-record-delete="${Utils.escapeHtml(item.id)}">Delete</button>
+            </div>
+        `;
     }
 
-    async handleSubmit(e) {
-        e.preventDefault();
+    // Switches to the Records tab with the record's editor open
+    async openInRecords(type, id) {
+        this.recordsType = type;
+        this.activeTab = 'records';
+        await this.refreshPanel();
+        const refreshed = document.querySelector('.data-management-panel');
+        if (refreshed) {
+            this.openRecordEditor(refreshed, type, id);
+        }
+    }
 
-        if (!this.validator.validateAll()) {
-            const errors = this.validator.getErrors();
-            if (errors.length > 0) {
-                const firstError = errors[0];
-                const field = this.form.querySelector(`[name="${firstError[0]}"]`);
-                field.focus();
-                Utils.showError(this.statusDiv, 'Please fix the errors above');
-            }
-            return;
+    // Edits use a copy of the public form so the same fields and
+    // FormValidator rules apply
+    openRecordEditor(panel, type, id) {
+        const record = this.storage[type].find(item => item.id === id);
+        const source = document.getElementById(type === 'measurements' ? 'measurementForm' : 'appointmentForm');
+        if (!record || !source) return;
+
+        // A measurement set is edited in the unit it was entered in
+        const values = type === 'measurements'
+            ? MeasurementUnits.inUnit(record, MeasurementUnits.getEnteredUnit(record), { exact: true })
+            : record;
+
+        const container = panel.querySelector('.records-edit');
+        const form = source.cloneNode(true);
+        form.removeAttribute('id');
+        form.querySelectorAll('.field-error-message, .field-warning-message, .measurement-confirm, .measurement-hint, .waitlist-offer')
+            .forEach(element => element.remove());
+        form.querySelectorAll('input, select, textarea').forEach(field => {
+            field.classList.remove('valid', 'invalid', 'warning');
+            if (field.type === 'hidden') return;
+            field.value = values[field.name] ?? '';
+            if ('defaultValue' in field) field.defaultValue = field.value;
+        });
+
+        if (type === 'appointments') {
+            new SlotPicker(form, { current: record });
+        } else {
+            new MeasurementFields(form, { values });
         }
 
-        this.setLoadingState(true);
-        Utils.clearMessage(this.statusDiv);
+        const statusDiv = form.querySelector('.form-status');
+        Utils.clearMessage(statusDiv);
+        form.querySelector('button[type="submit"]').innerHTML = '<i class="fas fa-save"></i> Save Changes';
 
-        try {
-            const formData = this.collectFormData();
-            const result = this.formType === 'measurement' 
-                ? this.storage.addMeasurement(formData)
-                : this.storage.addAppointment(formData);
+        const cancel = Utils.createElement('button', 'btn btn-secondary', 'Cancel');
+        cancel.type = 'button';
+        cancel.style.marginLeft = '0.5rem';
+        cancel.addEventListener('click', () => container.replaceChildren());
+        form.querySelector('button[type="submit"]').after(cancel);
 
-            if (result.success) {
-                this.handleSuccess(result.data);
-                this.autoSave.clearSavedData();
-            } else {
-                throw new Error('Failed to save data');
+        const validator = new FormValidator(form);
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            if (!validator.validateAll()) {
+                Utils.showError(statusDiv, 'Please fix the errors above');
+                return;
             }
-        } catch (error) {
-            this.handleError(error);
-        } finally {
-            this.setLoadingState(false);
-        }
+            const warnings = validator.getWarnings();
+            if (warnings.length > 0 &&
+                !confirm(`Save these unusual measurements?\n\n${warnings.map(([, message]) => message).join('\n')}`)) {
+                return;
+            }
+
+            const result = await this.storage.updateRecord(type, id, FormSubmission.collectFields(form));
+            if (!result.success) {
+                Utils.showError(statusDiv, Utils.escapeHtml(result.error.message));
+                return;
+            }
+            await this.refreshPanel();
+        });
+
+        container.replaceChildren(form);
+        form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
-    collectFormData() {
-        const formData = new FormData(this.form);
-        const data = {};
-        
-        for (let [key, value] of formData.entries()) {
-            if (key !== 'formType') {
-                data[key] = Utils.sanitizeInput(value);
+    // Asks for the service and due date, saves them on the measurement set
+    // and opens the card in a new window ready to print
+    openJobCard(panel, id) {
+        const record = this.storage.measurements.find(item => item.id === id);
+        if (!record) return;
+
+        const appointment = JobCard.findAppointment(record, this.storage.appointments);
+        const service = record['Service Type'] || (appointment && appointment['Service Type']) || '';
+        const serviceSelect = document.querySelector('#appointmentForm select[name="Service Type"]');
+        const services = serviceSelect
+            ? Array.from(serviceSelect.options).map(option => option.value).filter(Boolean)
+            : [];
+        if (service && !services.includes(service)) services.push(service);
+
+        const container = panel.querySelector('.records-edit');
+        container.innerHTML = `
+            <form>
+                <h4>Job Card for ${Utils.escapeHtml(record.Name)} (${Utils.escapeHtml(record.reference)})</h4>
+                <div class="form-group">
+                    <label>Service</label>
+                    <select name="Service Type">
+                        <option value="">Not specified</option>
+                        ${services.map(option => `
+                            <option value="${Utils.escapeHtml(option)}" ${option === service ? 'selected' : ''}>${Utils.escapeHtml(option)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Due Date</label>
+                    <input type="date" name="dueDate" required value="${Utils.escapeHtml(record.dueDate || JobCard.defaultDueDate())}">
+                </div>
+                <button type="submit" class="btn btn-primary"><i class="fas fa-print"></i> Print Job Card</button>
+                <button type="button" class="btn btn-secondary" data-job-card-cancel>Cancel</button>
+                <div class="form-status"></div>
+            </form>
+        `;
+
+        const form = container.querySelector('form');
+        const statusDiv = form.querySelector('.form-status');
+        form.querySelector('[data-job-card-cancel]').addEventListener('click', () => container.replaceChildren());
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            // Open the window before saving so popup blockers see the click
+            const cardWindow = window.open('', '_blank', 'width=800,height=900');
+            if (!cardWindow) {
+                Utils.showError(statusDiv, 'Allow pop-ups for this site to print the job card');
+                return;
             }
-        }
-        
-        return data;
+
+            const fields = {
+                'Service Type': form.elements['Service Type'].value,
+                dueDate: form.elements.dueDate.value
+            };
+            let measurement = record;
+            if (fields['Service Type'] !== (record['Service Type'] || '') || fields.dueDate !== record.dueDate) {
+                const result = await this.storage.updateRecord('measurements', id, fields);
+                if (!result.success) {
+                    cardWindow.close();
+                    Utils.showError(statusDiv, Utils.escapeHtml(result.error.message));
+                    return;
+                }
+                measurement = result.data;
+            }
+
+            const customer = this.storage.customers.find(item => item.id === measurement.customerId);
+            cardWindow.document.write(JobCard.render(measurement, { customer, appointment }));
+            cardWindow.document.close();
+            cardWindow.focus();
+            cardWindow.print();
+            await this.refreshPanel();
+        });
+
+        form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
-    handleSuccess(data) {
-        const message = this.formType === 'measurement' 
-            ? 'Measurements submitted successfully! Data saved to your computer.'
-            : 'Appointment booked successfully! Data saved to your computer.';
-        
-        Utils.showSuccess(this.statusDiv, message);
-        this.form.reset();
-        this.validator.errors.clear();
-        
-        // Clear validation states
-        this.form.querySelectorAll('.valid, .invalid').forEach(field => {
-            field.classList.remove('valid', 'invalid');
+    bindRecordControls(panel) {
+        const type = this.recordsType;
+        const selectedIds = () => Array.from(panel.querySelectorAll('[data-record-select]:checked'))
+            .map(checkbox => checkbox.dataset.recordSelect);
+
+        const remove = async (ids) => {
+            if (!confirm(`Delete ${ids.length} ${type}? You can undo this until the panel is closed.`)) return;
+
+            const result = await this.storage.deleteRecords(type, ids);
+            if (!result.success) {
+                alert(result.error.message);
+                return;
+            }
+            this.lastDeleted = { type, records: result.data };
+            await this.refreshPanel();
+        };
+
+        panel.querySelector('[data-records-type]').addEventListener('change', async (event) => {
+            this.recordsType = event.target.value;
+            await this.refreshPanel();
         });
-        
-        this.form.querySelectorAll('.field-error-message').forEach(error => {
-            error.remove();
+
+        panel.querySelector('[data-display-unit]')?.addEventListener('change', async (event) => {
+            MeasurementUnits.setDisplayUnit(event.target.value);
+            await this.refreshPanel();
         });
 
-        // Show data management options
-        this.showDataManagementOptions();
+        panel.querySelector('[data-records-select-all]').addEventListener('change', (event) => {
+            panel.querySelectorAll('[data-record-select]').forEach(checkbox => {
+                checkbox.checked = event.target.checked;
+            });
+        });
 
-        setTimeout(() => {
-            Utils.clearMessage(this.statusDiv);
-        }, 5000);
+        panel.querySelectorAll('[data-record-edit]').forEach(button => {
+            button.addEventListener('click', () => this.openRecordEditor(panel, type, button.dataset.recordEdit));
+        });
+
+        panel.querySelectorAll('[data-record-job-card]').forEach(button => {
+            button.addEventListener('click', () => this.openJobCard(panel, button.dataset.recordJobCard));
+        });
+
+        panel.querySelectorAll('[data-record-ics]').forEach(button => {
+            button.addEventListener('click', () => {
+                const appointment = this.storage.appointments.find(record => record.id === button.dataset.recordIcs);
+                this.storage.exportToICS([appointment], { fileName: `bandra_booking_${Utils.normalizeName(appointment.Name).replace(/\s/g, '_')}` });
+            });
+        });
+
+        panel.querySelectorAll('[data-record-delete]').forEach(button => {
+            button.addEventListener('click', () => remove([button.dataset.recordDelete]));
+        });
+
+        panel.querySelectorAll('[data-records-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const action = button.dataset.recordsAction;
+
+                if (action === 'undo') {
+                    const { type: deletedType, records } = this.lastDeleted;
+                    const result = await this.storage.restoreRecords(deletedType, records);
+                    if (!result.success) {
+                        alert(result.error.message);
+                        return;
+                    }
+                    this.lastDeleted = null;
+                    await this.refreshPanel();
+                    return;
+                }
+
+                const ids = selectedIds();
+                if (ids.length === 0) {
+                    alert(`Select the ${type} first.`);
+                    return;
+                }
+
+                if (action === 'delete') {
+                    await remove(ids);
+                } else if (action === 'export') {
+                    const selected = new Set(ids);
+                    await this.storage.exportRecords(this.storage[type].filter(record => selected.has(record.id)),
+                        `bandra_${type}_selected`);
+                } else if (action === 'status') {
+                    const status = panel.querySelector('[data-records-status]').value;
+                    const result = await this.storage.updateStatusMany(type, ids, status);
+                    if (result.skipped.length > 0) {
+                        alert(`${result.skipped.length} of ${ids.length} could not be moved to ` +
+                            `${StatusWorkflow.getLabel(status)} from their current status.`);
+                    }
+                    await this.refreshPanel();
+                }
+            });
+        });
     }
 
-    handleError(error) {
-        console.error('Form submission error:', error);
-        
-        let errorMessage = 'Something went wrong. Please try again.';
-        
-        if (error.message.includes('QuotaExceededError')) {
-            errorMessage = 'Storage limit exceeded. Please export old data.';
-        } else if (error.message.includes('SecurityError')) {
-            errorMessage = 'Browser storage unavailable. Please enable local storage.';
+    renderSearch() {
+        return `
+            <div class="form-group" style="margin-bottom: 0.5rem;">
+                <input type="search" data-search-input value="${Utils.escapeHtml(this.searchQuery)}"
+                       placeholder="e.g. nimali status:ready preferred:2026-11">
+            </div>
+            <details style="margin-bottom: 0.75rem;">
+                <summary><small>Search syntax</small></summary>
+                <small>
+                    Plain words match any field; names also match other spellings.<br>
+                    <code>name:</code> <code>phone:</code> <code>email:</code> <code>service:</code>
+                    <code>type:measurements</code> <code>status:ready,trial</code> <code>ref:M-7K2QXD</code><br>
+                    Dates: <code>created:2026-03</code> <code>preferred:2026-11-01..2026-11-15</code>
+                    <code>created:2026-01-01..</code><br>
+                    Measurements: <code>bust:30..34</code> <code>waist:&gt;28</code> <code>sleeve:&lt;=6</code>
+                    <code>armhole:</code> <code>apex:</code> <code>frontneck:</code> <code>style:"boat neck"</code><br>
+                    Quote values with spaces: <code>name:"nimali perera"</code>
+                </small>
+            </details>
+            <div class="search-results"></div>
+        `;
+    }
+
+    renderSearchResults() {
+        if (!this.searchQuery.trim()) {
+            return '<p>Search measurements and appointments.</p>';
         }
-        
-        Utils.showError(this.statusDiv, errorMessage);
 
-        setTimeout(() => {
-            Utils.clearMessage(this.statusDiv);
-        }, 8000);
-    }
+        const query = RecordQuery.parse(this.searchQuery);
+        const found = this.storage.searchData(query);
+        const results = RecordQuery.sort([
+            ...found.measurements.map(record => ({ type: 'measurements', record })),
+            ...found.appointments.map(record => ({ type: 'appointments', record }))
+        ], this.searchSort.key, this.searchSort.direction);
 
-    showDataManagementOptions() {
-        const optionsDiv = Utils.createElement('div', 'data-management-options', `
-            <div style="margin-top: 1rem; padding: 1rem; background: #f8f9fa; border-radius: 8px;">
-                <p style="margin: 0 0 0.5rem 0; font-weight: 500;">Data saved successfully!</p>
-                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
-                    <button onclick="window.exportData('${this.formType}', 'json')" class="btn btn-sm btn-secondary">
-                        <i class="fas fa-download"></i> Export JSON
-                    </button>
-                    <button onclick="window.exportData('${this.formType}', 'csv')" class="btn btn-sm btn-secondary">
-                        <i class="fas fa-file-csv"></i> Export CSV
-                    </button>
-                    <button onclick="window.viewData('${this.formType}')" class="btn btn-sm btn-secondary">
-                        <i class="fas fa-eye"></i> View Data
-                    </button>
-                </div>
+        const errors = query.errors.length === 0 ? '' : `
+            <p><small style="color: var(--error);">Not understood: ${query.errors.map(Utils.escapeHtml).join(', ')}</small></p>
+        `;
+        if (results.length === 0) {
+            return `${errors}<p>No matching records.</p>`;
+        }
+
+        const header = (key, label) => {
+            const arrow = this.searchSort.key !== key ? '' : this.searchSort.direction === 'asc' ? ' ▲' : ' ▼';
+            return `<th data-search-sort="${key}">${label}${arrow}</th>`;
+        };
+
+        return `
+            ${errors}
+            <p><small>${results.length} found</small></p>
+            <div style="max-height: 400px; overflow-y: auto;">
+                <table>
+                    <tr>
+                        ${header('name', 'Name')}
+                        <th>Type</th>
+                        ${header('timestamp', 'Submitted')}
+                        ${header('preferred', 'Preferred Date')}
+                        ${header('status', 'Status')}
+                        <th></th>
+                    </tr>
+                    ${results.map(({ type, record }) => `
+                        <tr>
+                            <td>
+                                ${Utils.escapeHtml(record.Name)}
+                                <br><small>${Utils.escapeHtml(record['Contact Number'])}</small>
+                            </td>
+                            <td>${type === 'measurements' ? 'Measurement' : Utils.escapeHtml(record['Service Type'])}</td>
+                            <td>${new Date(record.timestamp).toLocaleDateString()}</td>
+                            <td>${Utils.escapeHtml(BookingSlots.formatWhen(record))}</td>
+                            <td>${this.renderStatusBadge(record)}</td>
+                            <td>
+                                <button type="button" class="btn btn-sm btn-secondary" style="padding: 2px 10px;"
+                                        data-search-open="${type}" data-search-id="${Utils.escapeHtml(record.id)}">Open</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </table>
             </div>
-        `);
-        
-        this.statusDiv.appendChild(optionsDiv);
+        `;
     }
 
-    setLoadingState(loading) {
-        if (loading) {
-            this.submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
-            this.submitBtn.disabled = true;
-            this.submitBtn.style.opacity = '0.7';
+    bindSearchControls(panel) {
+        const resultsDiv = panel.querySelector('.search-results');
+
+        const showResults = () => {
+            resultsDiv.innerHTML = this.renderSearchResults();
+
+            resultsDiv.querySelectorAll('[data-search-sort]').forEach(header => {
+                header.addEventListener('click', () => {
+                    const key = header.dataset.searchSort;
+                    const direction = this.searchSort.key === key && this.searchSort.direction === 'asc' ? 'desc' : 'asc';
+                    this.searchSort = { key, direction };
+                    showResults();
+                });
+            });
+
+            resultsDiv.querySelectorAll('[data-search-open]').forEach(button => {
+                button.addEventListener('click', () => this.openInRecords(button.dataset.searchOpen, button.dataset.searchId));
+            });
+        };
+
+        panel.querySelector('[data-search-input]').addEventListener('input', Utils.debounce((event) => {
+            this.searchQuery = event.target.value;
+            showResults();
+        }, 250));
+
+        showResults();
+    }
+
+    // ===== CALENDAR =====
+    // Days shown by the current view; weeks run Monday to Sunday
+    getCalendarDays() {
+        if (this.calendarView === 'day') return [this.calendarDate];
+
+        const mondayOf = (day) => Utils.addDays(day, -((Utils.parseLocalDate(day).getDay() + 6) % 7));
+        if (this.calendarView === 'week') {
+            const monday = mondayOf(this.calendarDate);
+            return Array.from({ length: 7 }, (_, index) => Utils.addDays(monday, index));
+        }
+
+        const first = Utils.parseLocalDate(`${this.calendarDate.slice(0, 8)}01`);
+        const last = Utils.toLocalDate(new Date(first.getFullYear(), first.getMonth() + 1, 0));
+        const days = [];
+        for (let day = mondayOf(Utils.toLocalDate(first)); day <= last || days.length % 7 !== 0; day = Utils.addDays(day, 1)) {
+            days.push(day);
+        }
+        return days;
+    }
+
+    moveCalendar(step) {
+        if (step === 0) {
+            this.calendarDate = Utils.toShopDate(new Date());
+        } else if (this.calendarView === 'month') {
+            const date = Utils.parseLocalDate(this.calendarDate);
+            this.calendarDate = Utils.toLocalDate(new Date(date.getFullYear(), date.getMonth() + step, 1));
         } else {
-            this.submitBtn.innerHTML = this.formType === 'measurement' ? 'Submit Measurements' : 'Book Appointment';
-            this.submitBtn.disabled = false;
-            this.submitBtn.style.opacity = '1';
+            this.calendarDate = Utils.addDays(this.calendarDate, step * (this.calendarView === 'week' ? 7 : 1));
+        }
+    }
+
+    getCalendarTitle(days) {
+        const format = (day, options) => Utils.parseLocalDate(day).toLocaleDateString(undefined, options);
+        if (this.calendarView === 'day') {
+            return format(days[0], { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+        }
+        if (this.calendarView === 'week') {
+            return `${format(days[0], { day: 'numeric', month: 'short' })} - ${format(days[6], { day: 'numeric', month: 'short', year: 'numeric' })}`;
         }
+        return format(this.calendarDate, { month: 'long', year: 'numeric' });
+    }
+
+    renderCalendar() {
+        const days = this.getCalendarDays();
+        const services = Object.entries(CONFIG.CALENDAR.SERVICE_COLORS);
+
+        return `
+            <div class="records-toolbar">
+                <button type="button" class="btn btn-sm btn-secondary" data-calendar-move="-1">&lsaquo;</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-calendar-move="0">Today</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-calendar-move="1">&rsaquo;</button>
+                <strong style="flex: 1;">${this.getCalendarTitle(days)}</strong>
+                ${['day', 'week', 'month'].map(view => `
+                    <button type="button" class="btn btn-sm ${view === this.calendarView ? 'btn-primary' : 'btn-secondary'}"
+                            data-calendar-view="${view}">${view[0].toUpperCase() + view.slice(1)}</button>
+                `).join('')}
+            </div>
+            <div class="calendar-legend">
+                ${services.map(([service, color]) => `
+                    <span><span class="calendar-swatch" style="background: ${color};"></span>${Utils.escapeHtml(service)}</span>
+                `).join('')}
+                <span><small>Drag a booking to move it; click it to open.</small></span>
+            </div>
+            <div style="max-height: 500px; overflow: auto;">
+                ${this.calendarView === 'month' ? this.renderCalendarMonth(days) : this.renderCalendarGrid(days)}
+            </div>
+        `;
     }
-}
 
-// ===== AUTO SAVE =====
-class AutoSave {
-    constructor(form, formType) {
-        this.form = form;
-        this.formType = formType;
-        this.saveKey = CONFIG.LOCAL_STORAGE.AUTO_SAVE_PREFIX + formType;
-        this.init();
+    getAppointmentsOn(day) {
+        return this.storage.appointments
+            .filter(appointment => appointment['Preferred Date'] === day && !Waitlist.isWaiting(appointment))
+            .sort((a, b) => (a['Preferred Time'] || '').localeCompare(b['Preferred Time'] || ''));
     }
 
-    init() {
-        const fields = this.form.querySelectorAll('input, select, textarea');
-        fields.forEach(field => {
-            field.addEventListener('input', Utils.debounce(() => this.save(), 2000));
-        });
+    // Bookings that can still change status can be dragged to a new time
+    renderCalendarEvent(appointment) {
+        const service = appointment['Service Type'];
+        const color = CONFIG.CALENDAR.SERVICE_COLORS[service] || CONFIG.CALENDAR.DEFAULT_COLOR;
+        const movable = StatusWorkflow.getAllowedTransitions('appointments', appointment.status).length > 0;
+        const time = appointment['Preferred Time'];
+        const end = time
+            ? BookingSlots.formatTime(BookingSlots.toMinutes(time) + BookingSlots.getBookedDuration(appointment))
+            : '';
+
+        return `
+            <div class="calendar-event status-${Utils.escapeHtml(appointment.status)}" style="background: ${color};"
+                 data-calendar-event="${Utils.escapeHtml(appointment.id)}" ${movable ? 'draggable="true"' : ''}
+                 title="${Utils.escapeHtml(`${service} - ${StatusWorkflow.getLabel(appointment.status)}`)}">
+                ${time ? `<small>${Utils.escapeHtml(time)}-${end}</small>` : ''} ${Utils.escapeHtml(appointment.Name)}
+            </div>
+        `;
     }
 
-    save() {
-        try {
-            const formData = this.collectFormData();
-            localStorage.setItem(this.saveKey, JSON.stringify(formData));
-            localStorage.setItem(this.saveKey + '_timestamp', Date.now().toString());
-        } catch (error) {
-            console.error('Auto-save failed:', error);
+    renderCalendarMonth(days) {
+        const today = Utils.toShopDate(new Date());
+        const month = this.calendarDate.slice(0, 7);
+        const weeks = [];
+        for (let index = 0; index < days.length; index += 7) {
+            weeks.push(days.slice(index, index + 7));
         }
+
+        return `
+            <table class="calendar-table calendar-month">
+                <tr>${days.slice(0, 7).map(day => `<th>${Utils.parseLocalDate(day).toLocaleDateString(undefined, { weekday: 'short' })}</th>`).join('')}</tr>
+                ${weeks.map(week => `
+                    <tr>
+                        ${week.map(day => `
+                            <td class="calendar-cell ${day.startsWith(month) ? '' : 'outside'} ${day === today ? 'today' : ''} ${BookingSlots.getHours(day) ? '' : 'closed'}"
+                                data-calendar-day="${day}">
+                                <div class="calendar-date">
+                                    ${Utils.parseLocalDate(day).getDate()}
+                                    ${BookingSlots.getHours(day) ? '' : `<small>${Utils.escapeHtml(BookingSlots.getClosedReason(day))}</small>`}
+                                </div>
+                                ${this.getAppointmentsOn(day).map(appointment => this.renderCalendarEvent(appointment)).join('')}
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </table>
+        `;
     }
 
-    loadSavedData() {
-        try {
-            const savedData = localStorage.getItem(this.saveKey);
-            if (savedData) {
-                const data = JSON.parse(savedData);
-                
-                // Populate form fields
-                Object.entries(data).forEach(([key, value]) => {
-                    const field = this.form.querySelector(`[name="${key}"]`);
-                    if (field && !field.value) {
-                        field.value = value;
-                    }
-                });
-                
-                // Clear auto-save after successful load
-                this.clearSavedData();
-            }
-        } catch (error) {
-            console.error('Load auto-save failed:', error);
+    // One row per slot; bookings without a time (or outside opening hours)
+    // sit in the first row
+    renderCalendarGrid(days) {
+        const today = Utils.toShopDate(new Date());
+        const step = CONFIG.BOOKING.SLOT_MINUTES;
+        const hours = days.map(day => BookingSlots.getHours(day)).filter(Boolean);
+        const open = Math.min(...hours.map(range => range.open));
+        const close = Math.max(...hours.map(range => range.close));
+        const inGrid = (appointment) => {
+            const time = appointment['Preferred Time'];
+            return time && BookingSlots.toMinutes(time) >= open && BookingSlots.toMinutes(time) < close;
+        };
+
+        const rows = [];
+        for (let start = open; start < close; start += step) {
+            rows.push(`
+                <tr>
+                    <th>${BookingSlots.formatTime(start)}</th>
+                    ${days.map(day => {
+                        const isOpen = BookingSlots.isOpenAt(day, start, start + step);
+                        const events = this.getAppointmentsOn(day).filter(appointment => {
+                            if (!inGrid(appointment)) return false;
+                            const minutes = BookingSlots.toMinutes(appointment['Preferred Time']);
+                            return minutes >= start && minutes < start + step;
+                        });
+                        return `
+                            <td class="calendar-cell ${isOpen ? '' : 'closed'}" data-calendar-day="${day}"
+                                ${isOpen ? `data-calendar-time="${BookingSlots.formatTime(start)}"` : ''}>
+                                ${events.map(appointment => this.renderCalendarEvent(appointment)).join('')}
+                            </td>
+                        `;
+                    }).join('')}
+                </tr>
+            `);
         }
-    }
 
-    clearSavedData() {
-        localStorage.removeItem(this.saveKey);
-        localStorage.removeItem(this.saveKey + '_timestamp');
+        return `
+            <table class="calendar-table">
+                <tr>
+                    <th></th>
+                    ${days.map(day => `
+                        <th class="${day === today ? 'today' : ''}">
+                            ${Utils.parseLocalDate(day).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}
+                            ${BookingSlots.getHours(day) ? '' : `<br><small>${Utils.escapeHtml(BookingSlots.getClosedReason(day))}</small>`}
+                        </th>
+                    `).join('')}
+                </tr>
+                <tr>
+                    <th><small>No time</small></th>
+                    ${days.map(day => `
+                        <td class="calendar-cell" data-calendar-day="${day}">
+                            ${this.getAppointmentsOn(day).filter(appointment => !inGrid(appointment))
+                                .map(appointment => this.renderCalendarEvent(appointment)).join('')}
+                        </td>
+                    `).join('')}
+                </tr>
+                ${rows.join('')}
+            </table>
+        `;
     }
 
-    collectFormData() {
-        const formData = new FormData(this.form);
-        const data = {};
-        
-        for (let [key, value] of formData.entries()) {
-            if (key !== 'formType') {
-                data[key] = value;
-            }
+    // Dropping on a day keeps the booking's time; dropping on a slot sets both.
+    // updateRecord refuses slots that are taken or outside opening hours.
+    async rescheduleAppointment(id, day, time) {
+        const appointment = this.storage.appointments.find(record => record.id === id);
+        if (!appointment) return;
+
+        const fields = { 'Preferred Date': day, 'Preferred Time': time || appointment['Preferred Time'] || '' };
+        if (fields['Preferred Date'] === appointment['Preferred Date'] &&
+            fields['Preferred Time'] === (appointment['Preferred Time'] || '')) {
+            return;
+        }
+        if (!confirm(`Move ${appointment.Name}'s ${appointment['Service Type']} to ${BookingSlots.formatWhen(fields)}?`)) {
+            return;
         }
-        
-        return data;
-    }
-}
 
-// ===== PORTFOLIO FILTER =====
-class PortfolioFilter {
-    constructor() {
-        this.filterBtns = document.querySelectorAll('.filter-btn');
-        this.portfolioItems = document.querySelectorAll('.portfolio-item');
-        this.activeFilter = 'all';
-        this.init();
+        const result = await this.storage.updateRecord('appointments', id, fields);
+        if (!result.success) {
+            alert(result.error.message);
+            return;
+        }
+        await this.refreshPanel();
     }
 
-    init() {
-        this.filterBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => this.filterItems(e.target.dataset.filter));
+    bindCalendarControls(panel) {
+        panel.querySelectorAll('[data-calendar-move]').forEach(button => {
+            button.addEventListener('click', async () => {
+                this.moveCalendar(Number(button.dataset.calendarMove));
+                await this.refreshPanel();
+            });
         });
-    }
 
-    filterItems(filterValue) {
-        // Update active button
-        this.filterBtns.forEach(btn => btn.classList.remove('active'));
-        event.target.classList.add('active');
-        
-        this.activeFilter = filterValue;
+        panel.querySelectorAll('[data-calendar-view]').forEach(button => {
+            button.addEventListener('click', async () => {
+                this.calendarView = button.dataset.calendarView;
+                await this.refreshPanel();
+            });
+        });
 
-        this.portfolioItems.forEach(item => {
-            const category = item.dataset.category;
-            const shouldShow = filterValue === 'all' || category === filterValue;
-            
-            if (shouldShow) {
-                item.style.display = 'block';
-                setTimeout(() => {
-                    item.style.opacity = '1';
-                    item.style.transform = 'scale(1)';
-                }, 50);
-            } else {
-                item.style.opacity = '0';
-                item.style.transform = 'scale(0.9)';
-                setTimeout(() => {
-                    item.style.display = 'none';
-                }, 300);
-            }
+        panel.querySelectorAll('[data-calendar-event]').forEach(event => {
+            event.addEventListener('click', () => this.openInRecords('appointments', event.dataset.calendarEvent));
+            event.addEventListener('dragstart', (dragEvent) => {
+                dragEvent.dataTransfer.setData('text/plain', event.dataset.calendarEvent);
+                dragEvent.dataTransfer.effectAllowed = 'move';
+            });
         });
-    }
-}
 
-// ===== NAVIGATION =====
-class Navigation {
-    constructor() {
-        this.navbar = document.querySelector('.navbar');
-        this.navMenu = document.querySelector('.nav-menu');
-        this.hamburger = document.querySelector('.hamburger');
-        this.init();
+        panel.querySelectorAll('.calendar-cell:not(.closed)').forEach(cell => {
+            cell.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                cell.classList.add('drop-target');
+            });
+            cell.addEventListener('dragleave', () => cell.classList.remove('drop-target'));
+            cell.addEventListener('drop', async (event) => {
+                event.preventDefault();
+                cell.classList.remove('drop-target');
+                await this.rescheduleAppointment(event.dataTransfer.getData('text/plain'),
+                    cell.dataset.calendarDay, cell.dataset.calendarTime);
+            });
+        });
     }
 
-    init() {
-        this.hamburger.addEventListener('click', () => this.toggleMenu());
-        
-        document.querySelectorAll('.nav-link').forEach(link => {
-            link.addEventListener('click', () => this.closeMenu());
-        });
+    // ===== REMINDERS =====
+    renderReminders(due) {
+        const notifications = this.reminderScheduler && ReminderScheduler.isSupported()
+            && Notification.permission === 'default' ? `
+            <div class="records-undo">
+                <span>Get a desktop notification on this computer when a reminder is due.</span>
+                <button type="button" class="btn btn-sm btn-secondary" data-reminder-notify>Turn On Notifications</button>
+            </div>
+        ` : '';
+        const upcoming = Reminders.getUpcoming(this.storage.appointments);
 
-        window.addEventListener('scroll', Utils.throttle(() => this.handleScroll(), 100));
+        return `
+            ${notifications}
+            <h4>Due now</h4>
+            ${due.length === 0 ? '<p>No reminders due.</p>' : due.map(reminder => this.renderReminder(reminder)).join('')}
+            <h4 style="margin-top: 1rem;">Next ${CONFIG.REMINDERS.UPCOMING_HOURS} hours</h4>
+            ${upcoming.length === 0 ? '<p>No appointments coming up.</p>' : upcoming.map(({ appointment }) => `
+                <div class="record-row">
+                    <div style="flex: 1;">
+                        <strong>${Utils.escapeHtml(appointment.Name)}</strong>
+                        ${this.renderStatusBadge(appointment)}
+                        <br><small>${Utils.escapeHtml(appointment['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(appointment))}</small>
+                        <br><small>${CONFIG.REMINDERS.LEAD_TIMES.map(lead => {
+                            const sentAt = (appointment.reminderSent || {})[lead.key];
+                            return `${lead.label}: ${sentAt ? `sent ${new Date(sentAt).toLocaleString()}` : 'not sent'}`;
+                        }).join(' · ')}</small>
+                    </div>
+                </div>
+            `).join('')}
+        `;
     }
 
-    toggleMenu() {
-        this.hamburger.classList.toggle('active');
-        this.navMenu.classList.toggle('active');
-        
-        // Animate hamburger
-        const bars = this.hamburger.querySelectorAll('.bar');
-        bars.forEach((bar, index) => {
-            if (this.hamburger.classList.contains('active')) {
-                if (index === 0) bar.style.transform = 'rotate(45deg) translate(5px, 5px)';
-                if (index === 1) bar.style.opacity = '0';
-                if (index === 2) bar.style.transform = 'rotate(-45deg) translate(7px, -6px)';
-            } else {
-                bar.style.transform = '';
-                bar.style.opacity = '';
-            }
-        });
-    }
+    renderReminder({ appointment, lead }) {
+        const channel = (name, icon, title) => `
+            <button type="button" class="btn btn-sm btn-secondary" title="${title}"
+                    data-reminder-send="${Utils.escapeHtml(appointment.id)}" data-reminder-lead="${lead.key}" data-reminder-channel="${name}">
+                <i class="${icon}"></i>
+            </button>
+        `;
 
-    closeMenu() {
-        this.hamburger.classList.remove('active');
-        this.navMenu.classList.remove('active');
+        return `
+            <div class="record-row">
+                <div style="flex: 1;">
+                    <strong>${Utils.escapeHtml(appointment.Name)}</strong> - ${Utils.escapeHtml(appointment['Contact Number'])}
+                    <span class="reminder-lead">${lead.label}</span>
+                    <br><small>${Utils.escapeHtml(appointment['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(appointment))}</small>
+                    <details>
+                        <summary><small>Message</small></summary>
+                        <small style="white-space: pre-wrap;">${Utils.escapeHtml(Reminders.getMessage('whatsapp', appointment))}</small>
+                    </details>
+                </div>
+                ${channel('whatsapp', 'fab fa-whatsapp', 'Send by WhatsApp')}
+                ${channel('sms', 'fas fa-sms', 'Send by SMS')}
+                ${appointment.Email ? channel('email', 'fas fa-envelope', 'Send by email') : ''}
+                <button type="button" class="btn btn-sm btn-secondary"
+                        data-reminder-send="${Utils.escapeHtml(appointment.id)}" data-reminder-lead="${lead.key}">Mark Sent</button>
+            </div>
+        `;
     }
 
-    handleScroll() {
-        if (window.scrollY > 100) {
-            this.navbar.style.background = 'rgba(255, 255, 255, 0.95)';
-            this.navbar.style.backdropFilter = 'blur(10px)';
-            this.navbar.style.boxShadow = '0 2px 20px rgba(0,0,0,0.1)';
-        } else {
-            this.navbar.style.background = 'var(--white)';
-            this.navbar.style.backdropFilter = 'none';
-            this.navbar.style.boxShadow = '0 2px 10px rgba(0,0,0,0.1)';
+    bindReminderControls(panel) {
+        const notify = panel.querySelector('[data-reminder-notify]');
+        if (notify) {
+            notify.addEventListener('click', async () => {
+                await this.reminderScheduler.requestPermission();
+                await this.refreshPanel();
+            });
         }
-    }
-}
 
-// ===== WHATSAPP INTEGRATION =====
-class WhatsAppIntegration {
-    constructor() {
-        this.phoneNumber = CONFIG.WHATSAPP.NUMBER;
-        this.message = CONFIG.WHATSAPP.MESSAGE;
-        this.init();
-    }
+        panel.querySelectorAll('[data-reminder-send]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const id = button.dataset.reminderSend;
+                const channel = button.dataset.reminderChannel;
+                const appointment = this.storage.appointments.find(record => record.id === id);
+                if (!appointment) return;
 
-    init() {
-        this.createButton();
-        this.addStyles();
-    }
+                // Opened before saving so the browser treats it as part of the click
+                if (channel === 'whatsapp') {
+                    window.open(Reminders.getLinks(appointment).whatsapp, '_blank', 'noopener,noreferrer');
+                } else if (channel) {
+                    window.location.href = Reminders.getLinks(appointment)[channel];
+                }
 
-    createButton() {
-        const button = Utils.createElement('div', 'whatsapp-float', '<i class="fab fa-whatsapp"></i>');
-        button.title = 'Chat with us on WhatsApp';
-        button.addEventListener('click', () => this.openChat());
-        document.body.appendChild(button);
+                const result = await this.storage.markReminderSent(id, button.dataset.reminderLead);
+                if (!result.success) {
+                    alert(result.error.message);
+                }
+                await this.refreshPanel();
+            });
+        });
     }
 
-    openChat() {
-        const message = encodeURIComponent(this.message);
-        const url = `https://wa.me/${this.phoneNumber}?text=${message}`;
-        window.open(url, '_blank', 'noopener,noreferrer');
-    }
+    // ===== WAITLIST =====
+    renderWaitlist(waiting, movedUp) {
+        const formatDate = (day) => Utils.parseLocalDate(day).toLocaleDateString();
+        const channel = (appointment, name, icon, title) => `
+            <button type="button" class="btn btn-sm btn-secondary" title="${title}"
+                    data-waitlist-notify="${Utils.escapeHtml(appointment.id)}" data-waitlist-channel="${name}">
+                <i class="${icon}"></i>
+            </button>
+        `;
 
-    addStyles() {
-        const styles = `
-            .whatsapp-float {
-                position: fixed;
-                width: 60px;
-                height: 60px;
-                bottom: 30px;
-                right: 30px;
-                background: linear-gradient(135deg, #25D366, #128C7E);
-                color: white;
-                border-radius: 50%;
-                text-align: center;
-                font-size: 28px;
-                box-shadow: 0 4px 20px rgba(37, 211, 102, 0.4);
-                z-index: 1000;
-                cursor: pointer;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                transition: all 0.3s ease;
-                animation: pulse 2s infinite;
-            }
-            
-            .whatsapp-float:hover {
-                transform: scale(1.1) translateY(-5px);
-                box-shadow: 0 8px 30px rgba(37, 211, 102, 0.6);
-            }
-            
-            @keyframes pulse {
-                0% { box-shadow: 0 0 0 0 rgba(37, 211, 102, 0.7); }
-                70% { box-shadow: 0 0 0 15px rgba(37, 211, 102, 0); }
-                100% { box-shadow: 0 0 0 0 rgba(37, 211, 102, 0); }
-            }
+        return `
+            <h4>Moved up - let them know</h4>
+            ${movedUp.length === 0 ? '<p>Nobody to tell.</p>' : movedUp.map(appointment => `
+                <div class="record-row">
+                    <div style="flex: 1;">
+                        <strong>${Utils.escapeHtml(appointment.Name)}</strong> - ${Utils.escapeHtml(appointment['Contact Number'])}
+                        ${this.renderStatusBadge(appointment)}
+                        <br><small>${Utils.escapeHtml(appointment['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(appointment))},
+                            moved up ${new Date(appointment.waitlistPromotedAt).toLocaleString()}</small>
+                        <details>
+                            <summary><small>Message</small></summary>
+                            <small style="white-space: pre-wrap;">${Utils.escapeHtml(Reminders.getMessage('whatsapp', appointment, CONFIG.WAITLIST.TEMPLATES))}</small>
+                        </details>
+                    </div>
+                    ${channel(appointment, 'whatsapp', 'fab fa-whatsapp', 'Send by WhatsApp')}
+                    ${channel(appointment, 'sms', 'fas fa-sms', 'Send by SMS')}
+                    ${appointment.Email ? channel(appointment, 'email', 'fas fa-envelope', 'Send by email') : ''}
+                    <button type="button" class="btn btn-sm btn-secondary" data-waitlist-notify="${Utils.escapeHtml(appointment.id)}">Mark Told</button>
+                </div>
+            `).join('')}
+            <h4 style="margin-top: 1rem;">Waiting</h4>
+            ${waiting.length === 0 ? '<p>Nobody is waiting.</p>' : waiting.map((entry, index) => `
+                <div class="record-row">
+                    <div style="flex: 1;">
+                        <strong>${index + 1}. ${Utils.escapeHtml(entry.Name)}</strong> - ${Utils.escapeHtml(entry['Contact Number'])}
+                        <small>${Utils.escapeHtml(entry.reference)}</small>
+                        <br><small>${Utils.escapeHtml(entry['Service Type'])} on ${Waitlist.getDates(entry).map(formatDate).join(' or ')},
+                            joined ${new Date(entry.timestamp).toLocaleDateString()}</small>
+                    </div>
+                    <button type="button" class="btn btn-sm btn-secondary" data-waitlist-offer="${Utils.escapeHtml(entry.id)}">Offer Place</button>
+                    <button type="button" class="btn btn-sm btn-secondary" data-waitlist-remove="${Utils.escapeHtml(entry.id)}">Remove</button>
+                </div>
+            `).join('')}
         `;
-        
-        const styleSheet = document.createElement('style');
-        styleSheet.textContent = styles;
-        document.head.appendChild(styleSheet);
     }
-}
 
-// ===== ANIMATIONS =====
-class Animations {
-    constructor() {
-        this.init();
-    }
+    bindWaitlistControls(panel) {
+        panel.querySelectorAll('[data-waitlist-notify]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const id = button.dataset.waitlistNotify;
+                const channel = button.dataset.waitlistChannel;
+                const appointment = this.storage.appointments.find(record => record.id === id);
+                if (!appointment) return;
 
-    init() {
-        this.animateHero();
-        this.animatePortfolio();
-        this.animateServices();
-    }
+                // Opened before saving so the browser treats it as part of the click
+                const links = Reminders.getLinks(appointment, CONFIG.WAITLIST.TEMPLATES);
+                if (channel === 'whatsapp') {
+                    window.open(links.whatsapp, '_blank', 'noopener,noreferrer');
+                } else if (channel) {
+                    window.location.href = links[channel];
+                }
 
-    animateHero() {
-        const heroContent = document.querySelector('.hero-content');
-        if (heroContent) {
-            heroContent.style.opacity = '0';
-            heroContent.style.transform = 'translateY(50px)';
-            
-            setTimeout(() => {
-                heroContent.style.transition = 'all 1s ease';
-                heroContent.style.opacity = '1';
-                heroContent.style.transform = 'translateY(0)';
-            }, 300);
-        }
-    }
+                const result = await this.storage.markWaitlistNotified(id);
+                if (!result.success) {
+                    alert(result.error.message);
+                }
+                await this.refreshPanel();
+            });
+        });
 
-    animatePortfolio() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.style.opacity = '1';
-                    entry.target.style.transform = 'translateY(0)';
+        panel.querySelectorAll('[data-waitlist-offer]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const result = await this.storage.offerWaitlistPlace(button.dataset.waitlistOffer);
+                if (!result.success) {
+                    alert(result.error.message);
+                    return;
                 }
+                await this.refreshPanel();
             });
-        }, { threshold: 0.1 });
+        });
 
-        document.querySelectorAll('.portfolio-item').forEach(item => {
-            item.style.opacity = '0';
-            item.style.transform = 'translateY(30px)';
-            item.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-            observer.observe(item);
+        panel.querySelectorAll('[data-waitlist-remove]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Take this customer off the waitlist?')) return;
+                const result = await this.storage.updateStatus('appointments', button.dataset.waitlistRemove,
+                    'cancelled', 'Removed from the waitlist');
+                if (!result.success) {
+                    alert(result.error.message);
+                    return;
+                }
+                await this.refreshPanel();
+            });
         });
     }
 
-    animateServices() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.style.opacity = '1';
-                    entry.target.style.transform = 'translateY(0)';
-                }
+    // ===== CLOSURES =====
+    renderClosures(affected) {
+        // Yearly closures first by date in the year, then the ones still to come
+        const today = Utils.toShopDate(new Date());
+        const closures = Closures.getAll()
+            .filter(closure => closure.yearly || closure.end >= today)
+            .sort((a, b) => (b.yearly - a.yearly) || (a.yearly ? a.start.slice(5).localeCompare(b.start.slice(5))
+                : a.start.localeCompare(b.start)));
+        const shared = SyncManager.isConfigured() && SyncManager.getToken();
+
+        return `
+            ${affected.length ? `
+                <div style="padding: 0.75rem; background: #fff8e1; border-radius: 8px; margin-bottom: 1rem;">
+                    <strong>Bookings on closed days</strong>
+                    ${affected.map(appointment => `
+                        <div style="margin-top: 0.5rem; font-size: 0.875rem;">
+                            ${Utils.escapeHtml(appointment.Name)} - ${Utils.escapeHtml(appointment['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(appointment))}
+                            (${Utils.escapeHtml(BookingSlots.getClosedReason(appointment['Preferred Date'],
+                                appointment['Preferred Time'], BookingSlots.getBookedDuration(appointment)))})
+                            <button type="button" class="btn btn-sm btn-secondary" style="padding: 2px 10px;"
+                                    data-closure-open="${Utils.escapeHtml(appointment.id)}">Open</button>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <form class="records-toolbar closure-form">
+                <label>From <input type="date" name="start" required></label>
+                <label>To <input type="date" name="end"></label>
+                <label><input type="checkbox" name="yearly"> Every year</label>
+                <label>Hours <input type="time" name="from"> - <input type="time" name="to"></label>
+                <input type="text" name="reason" placeholder="Reason, e.g. Poya Day" style="flex: 1; min-width: 10rem;">
+                <button type="submit" class="btn btn-sm btn-secondary">Add Closure</button>
+            </form>
+            <div class="closure-status"></div>
+            <p><small>Leave the hours empty to close the whole day.
+                ${shared ? 'Closures are shared with customers through the sync service.'
+                    : 'Closures apply in this browser only until the sync service and staff token are set.'}</small></p>
+            ${closures.map(closure => `
+                <div class="record-row">
+                    <div style="flex: 1;">
+                        <strong>${Utils.escapeHtml(closure.reason)}</strong>
+                        <br><small>${Closures.describe(closure)}</small>
+                    </div>
+                    ${closure.builtIn ? '<small>Public holiday</small>' : `
+                        <button type="button" class="btn btn-sm btn-secondary" data-closure-delete="${Utils.escapeHtml(closure.id)}">Delete</button>
+                    `}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    bindClosureControls(panel) {
+        const form = panel.querySelector('.closure-form');
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const fields = FormSubmission.collectFields(form);
+            const result = Closures.add({ ...fields, yearly: form.elements.yearly.checked });
+            if (!result.success) {
+                Utils.showError(panel.querySelector('.closure-status'), result.error.message);
+                return;
+            }
+            await this.refreshPanel();
+        });
+
+        panel.querySelectorAll('[data-closure-delete]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('Delete this closure? Customers can book on these days again.')) return;
+                Closures.remove(button.dataset.closureDelete);
+                await this.refreshPanel();
             });
-        }, { threshold: 0.2 });
+        });
 
-        document.querySelectorAll('.service-card').forEach(card => {
-            card.style.opacity = '0';
-            card.style.transform = 'translateY(30px)';
-            card.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-            observer.observe(card);
+        panel.querySelectorAll('[data-closure-open]').forEach(button => {
+            button.addEventListener('click', () => this.openInRecords('appointments', button.dataset.closureOpen));
         });
     }
-}
 
-// ===== DATA MANAGEMENT INTERFACE =====
-class DataManagementInterface {
-    constructor() {
-        this.storage = new LocalStorageManager();
-        this.createInterface();
-    }
+    // ===== CHANGE LOG =====
+    renderAuditLog() {
+        const filter = this.auditFilter;
+        const operators = Array.from(new Set(this.auditEntries.map(entry => entry.operator))).sort();
+        const option = (value, label, selected) =>
+            `<option value="${Utils.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${Utils.escapeHtml(label)}</option>`;
 
-    createInterface() {
-        this.createButton();
-        this.addStyles();
+        return `
+            <div class="records-toolbar">
+                <input type="search" data-audit-filter="text" value="${Utils.escapeHtml(filter.text)}"
+                       placeholder="Name, reference or operator" style="flex: 1; min-width: 12rem;">
+                <select data-audit-filter="type">
+                    ${option('', 'All records', filter.type)}
+                    ${option('measurements', 'Measurements', filter.type)}
+                    ${option('appointments', 'Appointments', filter.type)}
+                    ${option('customers', 'Customers', filter.type)}
+                </select>
+                <select data-audit-filter="action">
+                    ${option('', 'All changes', filter.action)}
+                    ${Object.entries(CONFIG.AUDIT.ACTIONS).map(([action, label]) => option(action, label, filter.action)).join('')}
+                </select>
+                <select data-audit-filter="operator">
+                    ${option('', 'Everyone', filter.operator)}
+                    ${operators.map(operator => option(operator, operator, filter.operator)).join('')}
+                </select>
+                <label>From <input type="date" data-audit-filter="from" value="${Utils.escapeHtml(filter.from)}"></label>
+                <label>To <input type="date" data-audit-filter="to" value="${Utils.escapeHtml(filter.to)}"></label>
+            </div>
+            <div class="audit-results"></div>
+        `;
     }
 
-    createButton() {
-        const button = Utils.createElement('button', 'data-management-btn', 
-            '<i class="fas fa-database"></i> Data Management'
-        );
-        button.onclick = () => this.showManagementPanel();
-        document.body.appendChild(button);
+    renderAuditResults() {
+        const entries = this.auditEntries
+            .filter(entry => AuditLog.matches(entry, this.auditFilter))
+            .reverse();
+        if (entries.length === 0) {
+            return '<p>No changes recorded.</p>';
+        }
+
+        const shown = entries.slice(0, CONFIG.AUDIT.PAGE_SIZE);
+        return `
+            <p><small>${entries.length > shown.length ? `Latest ${shown.length} of ${entries.length}` : `${entries.length}`} changes</small></p>
+            <div style="max-height: 400px; overflow-y: auto;">
+                ${shown.map(entry => this.renderAuditEntry(entry)).join('')}
+            </div>
+        `;
     }
 
-    addStyles() {
-        const styles = `
-            .data-management-btn {
-                position: fixed;
-                bottom: 100px;
-                right: 30px;
-                background: linear-gradient(135deg, #6c757d, #495057);
-                color: white;
-                border: none;
-                padding: 12px 20px;
-                border-radius: 25px;
-                cursor: pointer;
-                box-shadow: 0 4px 15px rgba(0,0,0,0.2);
-                z-index: 999;
-                transition: all 0.3s ease;
-                font-size: 14px;
-                display: flex;
-                align-items: center;
-                gap: 8px;
-            }
-            
-            .data-management-btn:hover {
-                transform: translateY(-2px);
-                box-shadow: 0 6px 20px rgba(0,0,0,0.3);
-            }
-            
-            .data-management-panel {
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background: white;
-                padding: 2rem;
-                border-radius: 12px;
-                box-shadow: 0 10px 40px rgba(0,0,0,0.3);
-                z-index: 10000;
-                max-width: 90%;
-                max-height: 90%;
-                overflow-y: auto;
-                display: none;
-            }
-            
-            .data-management-overlay {
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0,0,0,0.5);
-                z-index: 9999;
-                display: none;
-            }
-            
-            .data-stats {
-                display: grid;
-                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-                gap: 1rem;
-                margin-bottom: 2rem;
-            }
-            
-            .stat-card {
-                background: #f8f9fa;
-                padding: 1rem;
-                border-radius: 8px;
-                text-align: center;
-                border: 1px solid #dee2e6;
-            }
-            
-            .stat-number {
-                font-size: 2rem;
-                font-weight: bold;
-                color: #d4af37;
-                display: block;
-            }
+    renderAuditEntry(entry) {
+        const changes = AuditLog.diff(entry.before, entry.after)
+            .filter(change => !AuditLog.HIDDEN_FIELDS.includes(change.field));
+        const format = (value) => Utils.escapeHtml(AuditLog.formatValue(value));
+        const describe = (change) => {
+            if (!entry.before) return format(change.to);
+            if (!entry.after) return format(change.from);
+            return `${format(change.from)} &rarr; ${format(change.to)}`;
+        };
+
+        return `
+            <div class="audit-entry">
+                <div>
+                    <strong>${Utils.escapeHtml(entry.label)}</strong>
+                    <span class="audit-action">${Utils.escapeHtml(AuditLog.getActionLabel(entry.action))}</span>
+                    <small>${Utils.escapeHtml(entry.type)}</small>
+                </div>
+                <small>${new Date(entry.timestamp).toLocaleString()} by ${Utils.escapeHtml(entry.operator)}</small>
+                ${changes.length === 0 ? '' : `
+                    <ul>
+                        ${changes.map(change => `
+                            <li>${Utils.escapeHtml(change.field)}: ${describe(change)}</li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
         `;
-        
-        const styleSheet = document.createElement('style');
-        styleSheet.textContent = styles;
-        document.head.appendChild(styleSheet);
     }
 
-    showManagementPanel() {
-        const stats = this.storage.getStats();
-        
-        const panel = Utils.createElement('div', 'data-management-panel');
-        panel.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
-                <h3>Data Management</h3>
-                <button onclick="this.closest('.data-management-panel').remove(); document.querySelector('.data-management-overlay').remove();" 
-                        style="background: none; border: none; font-size: 1.5rem; cursor: pointer;">×</button>
+    bindAuditControls(panel) {
+        const resultsDiv = panel.querySelector('.audit-results');
+        const showResults = () => {
+            resultsDiv.innerHTML = this.renderAuditResults();
+        };
+
+        panel.querySelectorAll('[data-audit-filter]').forEach(input => {
+            const update = () => {
+                this.auditFilter[input.dataset.auditFilter] = input.value;
+                showResults();
+            };
+            input.addEventListener(input.type === 'search' ? 'input' : 'change',
+                input.type === 'search' ? Utils.debounce(update, 250) : update);
+        });
+
+        showResults();
+    }
+
+    renderCustomers() {
+        const profiles = this.storage.getCustomerProfiles();
+        if (profiles.length === 0) {
+            return '<p>No customers yet.</p>';
+        }
+
+        const suggestions = this.storage.getMergeSuggestions();
+        const suggestionHtml = suggestions.length === 0 ? '' : `
+            <div style="padding: 0.75rem; background: #fff8e1; border-radius: 8px; margin-bottom: 1rem;">
+                <strong>Possible duplicates</strong>
+                ${suggestions.map(group => `
+                    <div style="margin-top: 0.5rem; font-size: 0.875rem;">
+                        ${group.map(customer => `${Utils.escapeHtml(customer.Name)} (${Utils.escapeHtml(customer['Contact Number'])})`).join(' / ')}
+                        <button type="button" class="btn btn-sm btn-secondary" style="padding: 2px 10px;"
+                                data-merge-ids="${Utils.escapeHtml(group.map(customer => customer.id).join(','))}">Merge</button>
+                    </div>
+                `).join('')}
             </div>
-            
-            <div class="data-stats">
-                <div class="stat-card">
-                    <div class="stat-number">${stats.totalMeasurements}</div>
-                    <div>Measurements</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number">${stats.totalAppointments}</div>
-                    <div>Appointments</div>
-                </div>
+        `;
+
+        return `
+            ${suggestionHtml}
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+                <small>Select two customers to merge them manually.</small>
+                <button type="button" class="btn btn-sm btn-secondary merge-selected-btn">Merge Selected</button>
             </div>
-            
-            <div style="display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem;">
-                <button onclick="window.exportData('measurements', 'json')" class="btn btn-sm btn-secondary">
-                    <i class="fas fa-download"></i> Export Measurements (JSON)
-                </button>
-                <button onclick="window.exportData('appointments', 'json')" class="btn btn-sm btn-secondary">
-                    <i class="fas fa-download"></i> Export Appointments (JSON)
-                </button>
-                <button onclick="window.exportData('measurements', 'csv')" class="btn btn-sm btn-secondary">
-                    <i class="fas fa-file-csv"></i> Export Measurements (CSV)
-                </button>
-                <button onclick="window.exportData('appointments', 'csv')" class="btn btn-sm btn-secondary">
-                    <i class="fas fa-file-csv"></i> Export Appointments (CSV)
-                </button>
-                <button onclick="window.viewAllData()" class="btn btn-sm btn-secondary">
-                    <i class="fas fa-eye"></i> View All Data
-                </button>
-                <button onclick="window.createBackup()" class="btn btn-sm btn-secondary">
-                    <i class="fas fa-save"></i> Create Backup
-                </button>
+            <div style="max-height: 400px; overflow-y: auto;">
+                ${profiles.map(profile => this.renderCustomerProfile(profile)).join('')}
             </div>
-            
-            <div>
-                <h4>Recent Submissions</h4>
-                <div style="max-height: 300px; overflow-y: auto;">
-                    ${this.renderRecentData(stats)}
+        `;
+    }
+
+    renderCustomerProfile({ customer, measurements, appointments, lastActivity }) {
+        const history = this.storage.getMeasurementHistory(customer.id);
+        const aliases = customer.aliases.length
+            ? `<br><small>Also known as: ${customer.aliases.map(Utils.escapeHtml).join(', ')}</small>` : '';
+        const phones = customer.phones.length > 1
+            ? `<br><small>Numbers: ${Utils.escapeHtml(customer.phones.map(phone => '+' + phone).join(', '))}</small>` : '';
+
+        return `
+            <details class="customer-profile">
+                <summary>
+                    <input type="checkbox" data-customer-select="${Utils.escapeHtml(customer.id)}" onclick="event.stopPropagation()">
+                    <strong>${Utils.escapeHtml(customer.Name)}</strong> - ${Utils.escapeHtml(customer['Contact Number'])}
+                    <small>(${measurements.length} measurement sets, ${appointments.length} bookings, last seen ${new Date(lastActivity).toLocaleDateString()})</small>
+                </summary>
+                <div style="padding: 0.5rem 0 0.5rem 1.5rem;">
+                    ${customer.Email ? `<small>${Utils.escapeHtml(customer.Email)}</small>` : ''}
+                    ${aliases}${phones}
+                    ${this.renderMeasurementHistory(customer.id, history)}
+                    ${appointments.map(item => `
+                        <div style="padding: 0.5rem; background: #f8f9fa; margin-top: 0.5rem; border-radius: 4px;">
+                            <i class="fas fa-calendar"></i> ${Utils.escapeHtml(item['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(item))}
+                            ${this.renderStatusBadge(item)}
+                            ${history.length ? `
+                                <br><small>Measurements:</small>
+                                <select data-link-appointment="${Utils.escapeHtml(item.id)}" style="width: auto; padding: 2px 8px; font-size: 0.75rem;">
+                                    <option value="">None</option>
+                                    ${history.map(entry => `
+                                        <option value="${Utils.escapeHtml(entry.record.id)}" ${entry.record.id === item.measurementId ? 'selected' : ''}>
+                                            Set #${entry.version} (${new Date(entry.record.timestamp).toLocaleDateString()})
+                                        </option>
+                                    `).join('')}
+                                </select>
+                            ` : ''}
+                        </div>
+                    `).join('')}
                 </div>
-            </div>
+            </details>
         `;
-        
-        const overlay = Utils.createElement('div', 'data-management-overlay');
-        overlay.onclick = () => {
-            panel.remove();
-            overlay.remove();
-        };
-        
-        document.body.appendChild(overlay);
-        document.body.appendChild(panel);
-        
-        overlay.style.display = 'block';
-        panel.style.display = 'block';
     }
 
-    renderRecentData(stats) {
-        let html = '<div style="margin-bottom: 1rem;"><strong>Recent Measurements:</strong></div>';
-        
-        stats.recentMeasurements.forEach(item => {
-            html += `
-                <div style="padding: 0.5rem; background: #f8f9fa; margin-bottom: 0.5rem; border-radius: 4px;">
-                    <strong>${item.Name}</strong> - ${new Date(item.timestamp).toLocaleDateString()}
-                    <br><small>Bust: ${item.Bust}", Waist: ${item.Waist}"</small>
+    renderMeasurementHistory(customerId, history) {
+        if (history.length === 0) return '';
+
+        const entries = history.slice().reverse().map(entry => {
+            const item = entry.record;
+            const usedBy = entry.usedBy.length
+                ? `<br><small>Used for: ${entry.usedBy.map(appointment =>
+                    `${Utils.escapeHtml(appointment['Service Type'])} on ${Utils.escapeHtml(BookingSlots.formatWhen(appointment))}`
+                ).join(', ')}</small>` : '';
+
+            return `
+                <div style="padding: 0.5rem; background: #f8f9fa; margin-top: 0.5rem; border-radius: 4px;">
+                    <i class="fas fa-ruler"></i> <strong>Set #${entry.version}</strong> - ${new Date(item.timestamp).toLocaleDateString()}
+                    ${this.renderStatusBadge(item)}
+                    <br><small>${Utils.escapeHtml(item['Blouse Style'] || '')} ${MeasurementSchema.describe(item)}</small>
+                    ${entry.version > 1 ? `<br><small><em>Since set #${entry.version - 1}: ${MeasurementHistory.describeChanges(entry.changes)}</em></small>` : ''}
+                    ${usedBy}
                 </div>
             `;
+        }).join('');
+
+        if (history.length < 2) return entries;
+
+        const options = (selected) => history.map(entry => `
+            <option value="${Utils.escapeHtml(entry.record.id)}" ${entry.version === selected ? 'selected' : ''}>
+                Set #${entry.version} (${new Date(entry.record.timestamp).toLocaleDateString()})
+            </option>
+        `).join('');
+
+        return `
+            <div class="measurement-compare" data-customer-id="${Utils.escapeHtml(customerId)}" style="margin-top: 0.5rem;">
+                <small>Compare</small>
+                <select data-compare="from" style="width: auto; padding: 2px 8px; font-size: 0.75rem;">${options(history.length - 1)}</select>
+                <small>with</small>
+                <select data-compare="to" style="width: auto; padding: 2px 8px; font-size: 0.75rem;">${options(history.length)}</select>
+                <div class="measurement-compare-result">${this.renderComparison(history[history.length - 2].record, history[history.length - 1].record)}</div>
+            </div>
+            ${entries}
+        `;
+    }
+
+    renderComparison(older, newer) {
+        const rows = MeasurementHistory.compare(older, newer).map(change => `
+            <tr${change.delta ? ' class="changed"' : ''}>
+                <td>${Utils.escapeHtml(change.field)}</td>
+                <td>${MeasurementHistory.formatValue(change.from)}</td>
+                <td>${MeasurementHistory.formatValue(change.to)}</td>
+                <td>${MeasurementHistory.formatDelta(change.delta)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="measurement-compare-table">
+                <thead>
+                    <tr>
+                        <th>Measurement</th>
+                        <th>${new Date(older.timestamp).toLocaleDateString()}</th>
+                        <th>${new Date(newer.timestamp).toLocaleDateString()}</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    bindCustomerControls(panel) {
+        const merge = async (ids) => {
+            // Keep the longest-known customer and fold the others into it
+            const customers = ids.map(id => this.storage.getCustomer(id))
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            const [target, ...sources] = customers;
+
+            if (!confirm(`Merge ${sources.map(customer => customer.Name).join(', ')} into ${target.Name}?`)) return;
+
+            for (const source of sources) {
+                const result = await this.storage.mergeCustomers(target.id, source.id);
+                if (!result.success) {
+                    alert(result.error.message);
+                    break;
+                }
+            }
+            await this.refreshPanel();
+        };
+
+        panel.querySelectorAll('[data-merge-ids]').forEach(button => {
+            button.addEventListener('click', () => merge(button.dataset.mergeIds.split(',')));
         });
-        
-        html += '<div style="margin: 1rem 0;"><strong>Recent Appointments:</strong></div>';
-        
-        stats.recentAppointments.forEach(item => {
-            html += `
-                <div style="padding: 0.5rem; background: #f8f9fa; margin-bottom: 0.5rem; border-radius: 4px;">
-                    <strong>${item.Name}</strong> - ${new Date(item.timestamp).toLocaleDateString()}
-                    <br><small>${item['Service Type']} on ${new Date(item['Preferred Date']).toLocaleDateString()}</small>
-                </div>
-            `;
+
+        panel.querySelectorAll('.measurement-compare').forEach(compare => {
+            const render = () => {
+                const find = (id) => this.storage.measurements.find(record => record.id === id);
+                const sets = ['from', 'to']
+                    .map(role => find(compare.querySelector(`[data-compare="${role}"]`).value))
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+                compare.querySelector('.measurement-compare-result').innerHTML = this.renderComparison(...sets);
+            };
+            compare.querySelectorAll('select').forEach(select => select.addEventListener('change', render));
+        });
+
+        panel.querySelectorAll('[data-link-appointment]').forEach(select => {
+            select.addEventListener('change', async () => {
+                const result = await this.storage.linkMeasurementSet(select.dataset.linkAppointment, select.value);
+                if (!result.success) {
+                    alert(result.error.message);
+                    return;
+                }
+                await this.refreshPanel();
+            });
+        });
+
+        panel.querySelector('.merge-selected-btn')?.addEventListener('click', () => {
+            const ids = Array.from(panel.querySelectorAll('[data-customer-select]:checked'))
+                .map(checkbox => checkbox.dataset.customerSelect);
+            if (ids.length < 2) {
+                alert('Select at least two customers to merge.');
+                return;
+            }
+            merge(ids);
         });
-        
-        return html;
     }
 }
 
 // ===== GLOBAL FUNCTIONS =====
-window.exportData = function(type, format) {
-    const storage = new LocalStorageManager();
+window.exportData = async function(type, format) {
+    if (!await DataVault.ensureUnlocked()) return;
+    const storage = await LocalStorageManager.getInstance().ready;
     
     if (format === 'json') {
         storage.exportToFile(type, {});
     } else if (format === 'csv') {
         storage.exportToCSV(type);
+    } else if (format === 'ics') {
+        storage.exportToICS(storage.appointments);
     }
 };
 
-window.viewAllData = function(type = 'all') {
-    const storage = new LocalStorageManager();
+window.viewAllData = async function(type = 'all') {
+    // Open the window before awaiting storage so popup blockers see the click
+    const dataWindow = window.open('', '_blank', 'width=800,height=600');
+    if (!await DataVault.ensureUnlocked()) {
+        dataWindow.close();
+        return;
+    }
+    const storage = await LocalStorageManager.getInstance().ready;
     const data = type === 'all' 
         ? { measurements: storage.measurements, appointments: storage.appointments }
-        : storage.loadData(type);
+        : storage[type];
     
-    const dataWindow = window.open('', '_blank', 'width=800,height=600');
     dataWindow.document.write(`
         <html>
         <head>
@@ -1126,7 +8246,7 @@ window.viewAllData = function(type = 'all') {
                     Total Measurements: ${storage.measurements.length}<br>
                     Total Appointments: ${storage.appointments.length}
                 </div>
-                <pre>${JSON.stringify(data, null, 2)}</pre>
+                <pre>${Utils.escapeHtml(JSON.stringify(data, null, 2))}</pre>
                 <div style="margin-top: 20px;">
                     <button onclick="window.print()">Print</button>
                     <button onclick="window.close()">Close</button>
@@ -1137,14 +8257,19 @@ window.viewAllData = function(type = 'all') {
     `);
 };
 
-window.createBackup = function() {
-    const storage = new LocalStorageManager();
-    const backupData = {
+window.createBackup = async function() {
+    if (!await DataVault.ensureUnlocked()) return;
+    const storage = await LocalStorageManager.getInstance().ready;
+    const backupData = await DataVault.sealExport({
         measurements: storage.measurements,
         appointments: storage.appointments,
+        customers: storage.customers,
+        audit: await storage.loadAuditLog(),
+        closures: Closures.getStored(),
         backupDate: new Date().toISOString(),
-        version: '2.0'
-    };
+        version: RecordSchema.BACKUP_VERSION,
+        schemaVersion: RecordSchema.CURRENT_VERSION
+    });
     
     const backupStr = JSON.stringify(backupData, null, 2);
     const backupBlob = new Blob([backupStr], { type: 'application/json' });
@@ -1171,11 +8296,14 @@ document.addEventListener('DOMContentLoaded', () => {
     new Navigation();
     new PortfolioFilter();
     new WhatsAppIntegration();
-    new DataManagementInterface();
+    const syncManager = new SyncManager();
+    const reminderScheduler = new ReminderScheduler();
+    new DataManagementInterface(syncManager, reminderScheduler);
     
     // Initialize forms
     new FormSubmission('measurementForm', 'measurement');
-    new FormSubmission('appointmentForm', 'appointment');
+    new FormSubmission('appointmentForm', 'appointment', syncManager);
+    new BookingManager('manageBookingForm', syncManager);
     
     // Global smooth scrolling function
     window.scrollToSection = (sectionId) => {
@@ -0,0 +1,371 @@
+// ===== LOCAL SYNC SERVICE STAND-IN =====
+// A dependency-free stand-in for the shop's sync service, implementing the
+// JSON contract documented on SyncManager in script.js. For local testing:
+//
+//   SYNC_TOKEN=secret node tools/sync-server.js
+//
+// then open the site, set the sync service URL to http://localhost:8787 in
+// Data Management > Sync settings (use the token on the shop computer only).
+// Records are kept in memory, or in SYNC_DATA_FILE when that is set.
+//
+// Staff calendars can subscribe to the synced appointments at
+//   http://localhost:8787/calendar.ics?token=<staff token>
+// Calendar apps cannot send headers, so this one route takes the token in the URL.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || '';
+const DATA_FILE = process.env.SYNC_DATA_FILE || '';
+const TYPES = ['measurements', 'appointments', 'customers'];
+
+// Booking rules, record checks, phone matching and calendar building are the
+// site's own, run from script.js so the two cannot drift apart. Loading it only
+// needs a bare window and document.
+function loadSite() {
+    const context = vm.createContext({
+        window: {},
+        document: { addEventListener() {} },
+        console,
+        TextEncoder
+    });
+    const code = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+    return vm.runInContext(
+        `${code}\n;({ CONFIG, Utils, ICalendar, BookingSlots, Closures, StatusWorkflow, RecordSchema, SlotUnavailableError })`,
+        context, { filename: 'script.js' });
+}
+
+if (!TOKEN) {
+    console.error('Set SYNC_TOKEN to the staff token before starting the sync stand-in.');
+    process.exit(1);
+}
+
+// Calendar days and times are read in shop time, as on the shop computer. The
+// zone is named in the site's CONFIG, so the site is loaded again once it is set.
+process.env.TZ = loadSite().CONFIG.CALENDAR.TIME_ZONE;
+const { CONFIG, Utils, ICalendar, BookingSlots, Closures, StatusWorkflow, RecordSchema, SlotUnavailableError } = loadSite();
+// Slot checks honour the closures staff shared with this service
+Closures.getStored = () => getClosures();
+// All that customers' devices are told about other people's bookings; not
+// even the id, which nobody else needs
+const AVAILABILITY_FIELDS = ['Preferred Date', 'Preferred Time', 'Service Type', 'duration', 'status'];
+
+// key "<type>:<id>" -> { type, record, storedAt }, where record may be a
+// tombstone (RecordSchema.tombstone); the staff closure list is kept under
+// "closures:all" so it is saved with the records
+const store = new Map();
+const CLOSURES_KEY = 'closures:all';
+
+function load() {
+    if (!DATA_FILE || !fs.existsSync(DATA_FILE)) return;
+    JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).forEach(entry => {
+        store.set(`${entry.type}:${entry.record.id}`, entry);
+    });
+}
+
+function persist() {
+    if (!DATA_FILE) return;
+    fs.writeFileSync(DATA_FILE, JSON.stringify(Array.from(store.values()), null, 2));
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function isAuthorized(req) {
+    return req.headers.authorization === `Bearer ${TOKEN}`;
+}
+
+function isOwnBooking(stored, reference, phone) {
+    return Boolean(stored.reference) && stored.reference === reference
+        && Utils.normalizePhone(stored['Contact Number']) === Utils.normalizePhone(phone);
+}
+
+function handleCalendar(res, url) {
+    if (url.searchParams.get('token') !== TOKEN) {
+        send(res, 401, { error: 'Staff token required' });
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(ICalendar.build(getAppointments()));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 5 * 1024 * 1024) {
+                reject(new Error('Request too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+async function handlePush(req, res) {
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        send(res, 400, { error: 'Body must be JSON' });
+        return;
+    }
+
+    const accepted = [];
+    const rejected = [];
+    const authorized = isAuthorized(req);
+
+    (payload.records || []).forEach(({ type, record }) => {
+        const deletion = RecordSchema.isTombstone(record);
+        if (!TYPES.includes(type) || !(deletion || RecordSchema.isValid(type, record))) {
+            rejected.push({ id: record && record.id, reason: 'Invalid record' });
+            return;
+        }
+        // Customers' devices may only add and manage bookings
+        if (!authorized && type !== 'appointments') {
+            rejected.push({ id: record.id, reason: 'Staff token required to send measurements and customers' });
+            return;
+        }
+        if (!authorized && deletion) {
+            rejected.push({ id: record.id, reason: 'Staff token required to delete records' });
+            return;
+        }
+
+        const key = `${type}:${record.id}`;
+        const existing = store.get(key);
+
+        if (existing && !authorized) {
+            if (type !== 'appointments' || !isOwnBooking(existing.record, record.reference, record['Contact Number'])) {
+                rejected.push({ id: record.id, reason: 'Staff token required to change existing records' });
+                return;
+            }
+            const change = applySelfService(existing.record, record);
+            if (change.error) {
+                rejected.push({ id: record.id, reason: change.error });
+                return;
+            }
+            if (!change.record) {
+                accepted.push(record.id);
+                return;
+            }
+            record = change.record;
+        } else if (!existing && !authorized && type === 'appointments'
+            && ![StatusWorkflow.getInitialStatus('appointments'), 'waitlisted'].includes(record.status)) {
+            rejected.push({ id: record.id, reason: 'New bookings must start as pending or waitlisted' });
+            return;
+        }
+
+        // Keep whichever copy is newer; an older copy is still "accepted"
+        // so the client stops retrying it.
+        const incomingTime = new Date(record.updatedAt || record.timestamp);
+        const existingTime = existing ? new Date(existing.record.updatedAt || existing.record.timestamp) : null;
+        if (!existing || incomingTime > existingTime) {
+            const problem = type === 'appointments' && !deletion ? getSlotProblem(existing && existing.record, record) : null;
+            if (problem) {
+                rejected.push({ id: record.id, reason: problem });
+                return;
+            }
+            store.set(key, { type, record, storedAt: new Date().toISOString() });
+        }
+        accepted.push(record.id);
+    });
+
+    persist();
+    console.log(`POST /records from ${payload.clientId || 'unknown'}: ${accepted.length} accepted, ${rejected.length} rejected`);
+    send(res, 200, { accepted, rejected });
+}
+
+function getAppointments() {
+    return Array.from(store.values())
+        .filter(entry => entry.type === 'appointments' && !RecordSchema.isTombstone(entry.record))
+        .map(entry => entry.record);
+}
+
+// Why a pushed booking cannot have its time, or null. Only a copy that
+// newly takes an upcoming time is checked, so status changes and past
+// bookings (e.g. from a restored backup) always go through.
+function getSlotProblem(stored, record) {
+    const start = BookingSlots.getStartTime(record);
+    if (!BookingSlots.holdsSlot(record) || !start || start <= new Date()) return null;
+
+    const kept = stored && BookingSlots.holdsSlot(stored)
+        && ['Preferred Date', 'Preferred Time', 'Service Type'].every(field => stored[field] === record[field]);
+    if (kept || BookingSlots.isAvailable(record['Preferred Date'], record['Preferred Time'], record['Service Type'],
+        getAppointments(), { excludeId: record.id })) {
+        return null;
+    }
+
+    const closedReason = BookingSlots.getClosedReason(record['Preferred Date'], record['Preferred Time'],
+        BookingSlots.getDuration(record['Service Type']));
+    return new SlotUnavailableError(closedReason).message;
+}
+
+// A day's bookings without customer details, so customers' devices can
+// offer only times that are free on every device. `exclude` lists the ids
+// the device holds and counts itself.
+function handleAvailability(res, url) {
+    const day = url.searchParams.get('date') || '';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+        send(res, 400, { error: 'date must be YYYY-MM-DD' });
+        return;
+    }
+
+    const exclude = new Set((url.searchParams.get('exclude') || '').split(',').filter(Boolean));
+    const bookings = getAppointments()
+        .filter(record => record['Preferred Date'] === day && !exclude.has(record.id))
+        .map(record => pick(record, AVAILABILITY_FIELDS));
+    send(res, 200, { bookings });
+}
+
+// A customer without the staff token may cancel their own booking or move
+// it to another time, as the Manage My Booking form does, until
+// BookingSlots.getSelfServiceBlock stops them. Returns { record } to store,
+// { record: null } when the push changes neither, or { error }. Whether the
+// new time is free is checked with every other booking (getSlotProblem).
+function applySelfService(stored, pushed) {
+    const blocked = BookingSlots.getSelfServiceBlock(stored);
+    const moved = ['Preferred Date', 'Preferred Time'].some(field => pushed[field] !== stored[field]);
+    if (pushed.status === stored.status && !moved) return { record: null };
+    if (blocked) return { error: blocked };
+
+    if (pushed.status !== stored.status) {
+        if (pushed.status !== 'cancelled') {
+            return { error: 'Customers can only cancel their booking online' };
+        }
+        return { record: StatusWorkflow.transition('appointments', stored, 'cancelled',
+            CONFIG.BOOKING.SELF_SERVICE.CANCEL_NOTE) };
+    }
+
+    const record = {
+        ...stored,
+        'Preferred Date': pushed['Preferred Date'],
+        'Preferred Time': pushed['Preferred Time'],
+        duration: BookingSlots.getDuration(stored['Service Type']),
+        reminderSent: {},
+        updatedAt: new Date().toISOString()
+    };
+    const start = BookingSlots.getStartTime(record);
+    if (!/^\d{2}:\d{2}$/.test(record['Preferred Time'] || '') || !start || start <= new Date()) {
+        return { error: 'Choose a time that is still to come' };
+    }
+    return { record };
+}
+
+function pick(record, fields) {
+    return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+}
+
+// A customer's own booking, found by its reference and phone number
+function handleBooking(res, url) {
+    const reference = url.searchParams.get('reference');
+    const phone = url.searchParams.get('phone');
+    const record = getAppointments().find(appointment => isOwnBooking(appointment, reference, phone));
+
+    if (!record) {
+        send(res, 404, { error: 'Booking not found' });
+        return;
+    }
+    send(res, 200, { record });
+}
+
+function getClosures() {
+    const entry = store.get(CLOSURES_KEY);
+    return entry ? entry.record.closures : [];
+}
+
+// updatedAt stays null until staff first share a list, so browsers can tell
+// "no closures yet" from "every closure was removed"
+function getClosureList() {
+    const entry = store.get(CLOSURES_KEY);
+    return { closures: getClosures(), updatedAt: entry ? entry.storedAt : null };
+}
+
+async function handleClosures(req, res) {
+    if (req.method === 'GET') {
+        send(res, 200, getClosureList());
+        return;
+    }
+    if (!isAuthorized(req)) {
+        send(res, 401, { error: 'Staff token required' });
+        return;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        send(res, 400, { error: 'Body must be JSON' });
+        return;
+    }
+    if (!Array.isArray(payload.closures)) {
+        send(res, 400, { error: 'closures must be a list' });
+        return;
+    }
+
+    store.set(CLOSURES_KEY, {
+        type: 'closures',
+        record: { id: 'all', closures: payload.closures },
+        storedAt: new Date().toISOString()
+    });
+    persist();
+    console.log(`POST /closures: ${payload.closures.length} closure(s)`);
+    send(res, 200, getClosureList());
+}
+
+function handlePull(req, res, url) {
+    if (!isAuthorized(req)) {
+        send(res, 401, { error: 'Staff token required' });
+        return;
+    }
+
+    const since = url.searchParams.get('since');
+    const sinceTime = since ? new Date(since) : new Date(0);
+    const records = Array.from(store.values())
+        .filter(entry => TYPES.includes(entry.type) && new Date(entry.storedAt) >= sinceTime)
+        .map(({ type, record }) => ({ type, record }));
+
+    send(res, 200, { records, serverTime: new Date().toISOString() });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+    } else if (url.pathname === '/records' && req.method === 'POST') {
+        handlePush(req, res).catch(error => send(res, 500, { error: error.message }));
+    } else if (url.pathname === '/records' && req.method === 'GET') {
+        handlePull(req, res, url);
+    } else if (url.pathname === '/availability' && req.method === 'GET') {
+        handleAvailability(res, url);
+    } else if (url.pathname === '/closures' && ['GET', 'POST'].includes(req.method)) {
+        handleClosures(req, res).catch(error => send(res, 500, { error: error.message }));
+    } else if (url.pathname === '/bookings' && req.method === 'GET') {
+        handleBooking(res, url);
+    } else if (url.pathname === '/calendar.ics' && req.method === 'GET') {
+        handleCalendar(res, url);
+    } else {
+        send(res, 404, { error: 'Not found' });
+    }
+});
+
+load();
+server.listen(PORT, () => {
+    console.log(`Sync stand-in listening on http://localhost:${PORT}`);
+});